@@ -0,0 +1,161 @@
+// dashboard.js
+// Server dashboard page: polls /metrics/live every second and charts the server's once-a-second samples
+// (tick and snapshot encode times, traffic, message rates, latency, players), with tables of rooms and clients.
+
+(() => {
+  "use strict";
+
+  document.addEventListener("DOMContentLoaded", init);
+
+  const HISTORY = 300; // samples kept (and charted), like the server's METRICS_HISTORY
+  // a tick slower than this share of its budget, or this much event loop lag, means the server is struggling
+  const SLOW_TICK_SHARE = 0.5;
+  const SLOW_LAG_MS = 50;
+  const SLOW_RTT_MS = 150;
+
+  // Charts: canvas id, series (sample key, colour, label) and an optional scale for the values
+  const CHARTS = [
+    { id: "chart-tick", series: [["tickMs", "#ffd166", "avg"], ["tickMaxMs", "#e76b6b", "max"]] },
+    { id: "chart-encode", series: [["encodeMs", "#ffd166", "avg"], ["encodeMaxMs", "#e76b6b", "max"]] },
+    { id: "chart-traffic", series: [["bytesOut", "#6bb8e7", "out"], ["bytesIn", "#8fe76b", "in"]], scale: 1 / 1024 },
+    { id: "chart-messages", series: [["messagesOut", "#6bb8e7", "out"], ["messagesIn", "#8fe76b", "in"]] },
+    { id: "chart-latency", series: [["rttMs", "#6bb8e7", "avg RTT"], ["lagMs", "#e76b6b", "event loop lag"]] },
+    { id: "chart-players", series: [["players", "#ffd166", "players"], ["bots", "#a9c0c2", "bots"], ["clients", "#6bb8e7", "connections"]] }
+  ];
+
+  function init() {
+    const tilesEl = document.getElementById("dash-tiles");
+    const statusEl = document.getElementById("dash-status");
+    const verdictEl = document.getElementById("dash-verdict");
+    const roomsBody = document.querySelector("#dash-rooms tbody");
+    const clientsBody = document.querySelector("#dash-clients tbody");
+    let history = [];
+    let tickBudgetMs = 1000 / 30;
+
+    for (const chart of CHARTS) {
+      const legend = document.getElementById(chart.id).parentNode.querySelector(".legend");
+      legend.innerHTML = chart.series.map(([, color, label]) => `<span style="color:${color}">● ${label}</span>`).join(" ");
+    }
+
+    function formatBytes(n) {
+      if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+      if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+      return `${n} B`;
+    }
+    function formatUptime(s) {
+      const h = Math.floor(s / 3600), m = Math.floor(s / 60) % 60;
+      return h ? `${h}h ${m}m` : `${m}m ${s % 60}s`;
+    }
+
+    // Line chart of the history, scaled to the largest value shown (or the limit line, when there is one)
+    function drawChart(chart, limit) {
+      const canvas = document.getElementById(chart.id);
+      const ctx = canvas.getContext("2d");
+      const w = canvas.width, h = canvas.height, pad = 4;
+      const scale = chart.scale || 1;
+      ctx.clearRect(0, 0, w, h);
+      let max = limit || 0;
+      for (const s of history) for (const [key] of chart.series) max = Math.max(max, (s[key] || 0) * scale);
+      max = max > 0 ? max * 1.1 : 1;
+      const x = i => pad + (w - pad * 2) * (i + HISTORY - history.length) / (HISTORY - 1);
+      const y = v => h - pad - (h - pad * 2) * v / max;
+      if (limit) {
+        ctx.strokeStyle = "rgba(231,107,107,0.5)";
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath(); ctx.moveTo(pad, y(limit)); ctx.lineTo(w - pad, y(limit)); ctx.stroke();
+        ctx.setLineDash([]);
+      }
+      for (const [key, color] of chart.series) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        history.forEach((s, i) => {
+          const py = y((s[key] || 0) * scale);
+          if (i) ctx.lineTo(x(i), py); else ctx.moveTo(x(i), py);
+        });
+        ctx.stroke();
+      }
+      ctx.fillStyle = "#a9c0c2";
+      ctx.font = "11px system-ui, sans-serif";
+      ctx.textBaseline = "top";
+      ctx.fillText(max >= 10 ? String(Math.round(max)) : max.toFixed(2), pad + 2, pad);
+    }
+
+    function renderTiles(latest, uptime) {
+      const tiles = [
+        ["Uptime", formatUptime(uptime)],
+        ["Players", `${latest.players} (+${latest.bots} bots)`],
+        ["Tick", `${latest.tickMs} ms / ${tickBudgetMs.toFixed(1)}`],
+        ["Encode", `${latest.encodeMs} ms`],
+        ["Sending", `${formatBytes(latest.bytesOut)}/s`],
+        ["Avg RTT", `${latest.rttMs} ms`],
+        ["Loop lag", `${latest.lagMs} ms`]
+      ];
+      tilesEl.innerHTML = "";
+      for (const [label, value] of tiles) {
+        const div = document.createElement("div");
+        div.className = "tile";
+        div.innerHTML = "<small></small><b></b>";
+        div.firstChild.textContent = label;
+        div.lastChild.textContent = value;
+        tilesEl.appendChild(div);
+      }
+    }
+
+    // Where lag comes from, judged from the last few seconds
+    function renderVerdict() {
+      const recent = history.slice(-5);
+      if (!recent.length) return;
+      const peak = key => Math.max(...recent.map(s => s[key] || 0));
+      const serverSlow = peak("tickMaxMs") > tickBudgetMs * SLOW_TICK_SHARE || peak("lagMs") > SLOW_LAG_MS;
+      const networkSlow = peak("rttMs") > SLOW_RTT_MS;
+      let text = "✅ The server keeps up and clients' round trips are short.", cls = "ok";
+      if (serverSlow) {
+        text = "🐢 The server is the bottleneck: ticks are slow or the event loop is running late.";
+        cls = "bad";
+      } else if (networkSlow) {
+        text = "📶 The server keeps up, but round trips are long: lag comes from the network.";
+        cls = "warn";
+      }
+      verdictEl.textContent = text;
+      verdictEl.className = cls;
+    }
+
+    function renderRows(tbody, rows) {
+      tbody.innerHTML = "";
+      for (const cells of rows) {
+        const tr = document.createElement("tr");
+        for (const text of cells) {
+          const td = document.createElement("td");
+          td.textContent = String(text);
+          tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+      }
+    }
+
+    function refresh() {
+      const since = history.length ? history[history.length - 1].t : 0;
+      fetch(`/metrics/live?since=${since}`).then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      }).then(data => {
+        tickBudgetMs = 1000 / data.tickRate;
+        history = history.concat(data.history).slice(-HISTORY);
+        for (const chart of CHARTS) drawChart(chart, chart.id === "chart-tick" ? tickBudgetMs : 0);
+        if (history.length) renderTiles(history[history.length - 1], data.uptime);
+        renderVerdict();
+        renderRows(roomsBody, data.rooms.map(r => [r.name, r.mode, r.human, r.away, r.bot, r.nodes, r.buildings, r.mobs]));
+        renderRows(clientsBody, data.clients.map(c => [c.name || "(joining)", c.room, c.encoding, `${c.rttMs} ms`,
+          `${formatBytes(c.bytesOutPerSec)}/s`, formatBytes(c.bytesOut), formatBytes(c.bytesIn)]));
+        statusEl.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+      }).catch(e => {
+        console.warn("[MooLite] dashboard failed", e);
+        statusEl.textContent = `Could not reach the server: ${e.message}`;
+      });
+    }
+
+    refresh();
+    setInterval(refresh, 1000);
+  }
+})();
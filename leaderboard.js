@@ -0,0 +1,82 @@
+// leaderboard.js
+// Leaderboard page: all-time stats of every profile, or the session stats of the players in the world now,
+// sorted by the chosen stat (GET /leaderboard and /leaderboard/session on the server). Refreshes every 10 s.
+
+(() => {
+  "use strict";
+
+  document.addEventListener("DOMContentLoaded", init);
+
+  function init() {
+    const scopeSel = document.getElementById("board-scope");
+    const statSel = document.getElementById("board-stat");
+    const roomInput = document.getElementById("board-room");
+    const statHead = document.getElementById("board-stat-head");
+    const tbody = document.querySelector("#board-table tbody");
+    const statusEl = document.getElementById("board-status");
+    const achievementList = document.getElementById("achievement-list");
+    let statDefs = null;
+
+    function formatStat(key, v) {
+      if (!statDefs[key] || !statDefs[key].seconds) return String(Math.round(v));
+      const m = Math.floor(v / 60);
+      return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m ${Math.round(v % 60)}s`;
+    }
+
+    // stat picker and achievement legend come from the first response
+    function renderCatalogs(data) {
+      statDefs = data.stats;
+      for (const key in data.stats) {
+        const opt = document.createElement("option");
+        opt.value = key;
+        opt.textContent = data.stats[key].label;
+        statSel.appendChild(opt);
+      }
+      statSel.value = data.stat;
+      achievementList.innerHTML = "";
+      for (const key in data.achievements) {
+        const a = data.achievements[key];
+        const li = document.createElement("li");
+        li.textContent = `${a.emoji} ${a.label} — ${a.description}`;
+        achievementList.appendChild(li);
+      }
+    }
+
+    function refresh() {
+      const params = new URLSearchParams({ stat: statSel.value || "kills", limit: "50" });
+      const room = roomInput.value.trim().toLowerCase();
+      if (room) params.set("room", room);
+      const url = (scopeSel.value === "session" ? "/leaderboard/session?" : "/leaderboard?") + params;
+      fetch(url).then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      }).then(data => {
+        if (!statDefs) renderCatalogs(data);
+        statHead.textContent = statDefs[data.stat].label;
+        tbody.innerHTML = "";
+        data.entries.forEach((e, i) => {
+          const tr = document.createElement("tr");
+          if (!e.online) tr.className = "offline";
+          const achievements = e.achievements.map(k => (data.achievements[k] || {}).emoji || "").join(" ");
+          for (const text of [i + 1, `${e.bot ? "🤖 " : ""}${e.name}`, e.room || "", formatStat(data.stat, e.stats[data.stat] || 0), achievements]) {
+            const td = document.createElement("td");
+            td.textContent = String(text);
+            tr.appendChild(td);
+          }
+          tbody.appendChild(tr);
+        });
+        statusEl.textContent = data.entries.length ? `Updated ${new Date().toLocaleTimeString()}` : "No players yet";
+      }).catch(e => {
+        console.warn("[MooLite] leaderboard failed", e);
+        statusEl.textContent = `Could not load the leaderboard: ${e.message}`;
+      });
+    }
+
+    scopeSel.addEventListener("change", refresh);
+    statSel.addEventListener("change", refresh);
+    roomInput.addEventListener("change", refresh);
+    document.getElementById("board-form").addEventListener("submit", e => { e.preventDefault(); refresh(); });
+    refresh();
+    setInterval(refresh, 10_000);
+  }
+})();
@@ -23,15 +23,22 @@
     console.log("[MooLite] init");
 
     // ---- Config / Emoji mapping ----
+    // World size, rates, speed and range are the server's defaults until its config arrives in welcome (setConfig)
     const CONFIG = {
       TILE_SIZE: 48,
       WORLD_W: 3000,
       WORLD_H: 2000,
       SNAP_RATE_MS: 1000 / 20,
+      TICK_RATE: 30,
       PLAYER_SPEED: 220,
-      INTERP_MS: 120,
+      INTERP_MS: 100, // remote players and mobs are drawn this far behind the server clock (the server's interpDelayMs)
+      PING_MS: 2000,
+      PING_SAMPLES: 8, // pongs kept for the clock offset, which comes from the quickest of them
       VIEWPORT_PAD: 80,
-      ACTION_RANGE: 80
+      ACTION_RANGE: 80,
+      NIGHT_MINIMAP_RANGE: 450, // at night the minimap only shows what is this close to you
+      MIN_ZOOM: 0.6, // pinch zoom limits (zoomed out further than this shows past the server's area of interest)
+      MAX_ZOOM: 1.8
     };
 
     const EMOJI = {
@@ -42,24 +49,93 @@
       wall: "🧱",
       camp: "🏠",
       player: "😃",
+      bot: "🤖",
       axe: "🪓",
       sword: "⚔️"
     };
 
+    // Collision shapes, from the server's config: players and nodes are circles,
+    // buildings are squares sized by the building catalog
+    const SOLIDS = {
+      PLAYER_RADIUS: 16,
+      NODE_RADIUS: { tree: 22, rock: 20, berry: 12, wood: 14 }
+    };
+
+    // Wire protocol, mirroring server.js: the version is announced in join, and the server picks
+    // the first encoding it supports. ?json=1 in the page URL forces plain JSON (easier to debug).
+    const PROTOCOL = {
+      VERSION: 5,
+      ENCODINGS: new URLSearchParams(location.search).get("json") === "1" ? ["json"] : ["binary", "json"],
+      STATE: 1,
+      INPUT: 2,
+      POS_SCALE: 4,
+      FIELDS: {
+        players: [["x", "pos"], ["y", "pos"], ["hp", "s"], ["name", "str"], ["kills", "u"], ["hunger", "u"], ["equipped", "str"], ["invuln", "bool"], ["inv", "inv"], ["items", "list"], ["seq", "u"], ["bot", "bool"]],
+        nodes: [["type", "str"], ["x", "pos"], ["y", "pos"], ["hp", "s"], ["maxHp", "u"], ["respawnAt", "u"]],
+        buildings: [["kind", "str"], ["x", "pos"], ["y", "pos"], ["owner", "str"], ["hp", "s"], ["maxHp", "u"]],
+        mobs: [["kind", "str"], ["x", "pos"], ["y", "pos"], ["hp", "s"], ["maxHp", "u"]]
+      }
+    };
+
+    // Building catalog (label, emoji, cost, hp, size, behaviour), sent by the server in welcome
+    let buildingDefs = {};
+    // Item catalog (label, emoji, recipe, combat/harvest stats), sent by the server in welcome
+    let itemDefs = {};
+    // Mob catalog (label, emoji, hp, speed, radius, ...), sent by the server in welcome
+    let mobDefs = {};
+    // Tracked stats {key: {label, seconds?}}, sent by the server in welcome; the roster carries session values
+    let statDefs = {};
+    // Generated terrain {seed, cell, cols, rows, cells, biomes}: one biome code per cell, row by row
+    let terrain = null;
+    // World clock from the server (settings in welcome, time/day/weather in every snapshot), advanced locally
+    // from clockAt between updates: time 0..1 is midnight to midnight
+    let clock = { time: 0.3, day: 1, weather: "clear", dayLengthMs: 600000, playerLight: 110, weatherTypes: {} };
+    let clockAt = Date.now();
+    // Game mode and round: the catalog, phase, capture zone and last results arrive in welcome and round messages,
+    // the round's progress (seconds left, your score, the leader's, who holds the zone) with every snapshot
+    let roundInfo = { modes: {}, mode: "sandbox", phase: "open", zone: null, results: null };
+    let round = { mode: "sandbox", phase: "open", left: 0, score: 0, leader: "", best: 0, holder: "", contested: false };
+
     // ---- DOM references ----
     const canvas = document.getElementById("game");
     const minimapCanvas = document.getElementById("minimap");
     const invWood = document.getElementById("inv-wood");
     const invStone = document.getElementById("inv-stone");
     const invFood = document.getElementById("inv-food");
+    const hungerFill = document.getElementById("hunger-fill");
+    const hungerText = document.getElementById("hunger-text");
+    const eatBtn = document.getElementById("eat");
     const playersList = document.getElementById("players-list");
+    const playersSort = document.getElementById("players-sort");
     const chatLog = document.getElementById("chat-log");
     const chatForm = document.getElementById("chat-form");
     const chatInput = document.getElementById("chat-input");
     const nameInput = document.getElementById("name-input");
     const setNameBtn = document.getElementById("set-name");
-    const buildWallBtn = document.getElementById("build-wall");
-    const buildHomeBtn = document.getElementById("build-home");
+    const actionsEl = document.getElementById("actions");
+    const hotbarEl = document.getElementById("hotbar");
+    const recipesEl = document.getElementById("recipes");
+    const lobbyEl = document.getElementById("lobby");
+    const roomListEl = document.getElementById("room-list");
+    const roomForm = document.getElementById("room-form");
+    const roomInput = document.getElementById("room-input");
+    const roomModeSel = document.getElementById("room-mode");
+    const lobbyError = document.getElementById("lobby-error");
+    const roomsBtn = document.getElementById("rooms-btn");
+    const roomLabel = document.getElementById("room-name");
+    const clockLabel = document.getElementById("clock");
+    const replayBar = document.getElementById("replay-bar");
+    const replayPlayBtn = document.getElementById("replay-play");
+    const replaySpeed = document.getElementById("replay-speed");
+    const replaySeek = document.getElementById("replay-seek");
+    const replayTime = document.getElementById("replay-time");
+    const replayFollow = document.getElementById("replay-follow");
+    const replayExit = document.getElementById("replay-exit");
+    const recordingListEl = document.getElementById("recording-list");
+    const replayFileInput = document.getElementById("replay-file");
+    const clanInfo = document.getElementById("clan-info");
+    const clanForm = document.getElementById("clan-form");
+    const clanInput = document.getElementById("clan-input");
     const connStatus = createStatusElement();
 
     if (!canvas) {
@@ -75,30 +151,68 @@
 
     // ---- Basic state ----
     let ws = null;
+    let wireEncoding = "json"; // chosen by the server in welcome
+    let binIds = []; // entity ids of binary state frames, by wire index (per connection)
     let myId = null;
     let username = localStorage.getItem("moolite_name") || ("Player" + Math.floor(Math.random() * 999));
     nameInput && (nameInput.value = username);
+    // profile token issued by the server; keeps inventory, kills and position across sessions
+    let profileToken = localStorage.getItem("moolite_token") || "";
+    // per-session resume token: lets a reconnect (or reload) take back the same player within the grace period
+    let resumeToken = sessionStorage.getItem("moolite_resume") || "";
+    // room chosen in the lobby (or given as ?room= in the page URL)
+    const ROOM_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,23}$/;
+    let currentRoom = (new URLSearchParams(location.search).get("room") || "").toLowerCase();
+    let reconnectAllowed = !!currentRoom;
+    // game mode picked in the lobby for a room that doesn't exist yet
+    let newRoomMode = "";
 
     // Authoritative-ish mirrored data (populated by snapshots)
-    let worldState = { players: {}, nodes: [], buildings: [] };
+    let worldState = { players: {}, nodes: [], buildings: [], mobs: [] };
     let snapshots = [];
 
+    // Decoded snapshots keyed by entity id, kept as baselines for the server's deltas
+    let decodedSnaps = [];
+    let lastSnapId = 0; // newest decoded snapshot, acknowledged with every input
+
+    // Every player's name/score, sent separately since snapshots only cover nearby players
+    let roster = [];
+    // Live mobs in the room by kind, sent with the roster
+    let mobCounts = {};
+
+    // Clans in this room: [{tag, leader, members: [player ids]}]
+    let clans = [];
+
     // Local predicted state for the client player
-    let local = { x: 100, y: 100, hp: 100, inventory: { wood: 0, stone: 0, food: 0 } };
+    let local = { x: 100, y: 100, hp: 100, inventory: { wood: 0, stone: 0, food: 0 }, hunger: 100, items: ["hand"], equipped: "hand" };
+
+    // Inputs sent but not yet acknowledged by the server (replayed on every snapshot)
+    let pendingInputs = [];
 
     // Input state
     const inputState = { up: false, down: false, left: false, right: false, mouse: { x: 0, y: 0, down: false } };
 
-    // Camera
-    const cam = { x: 0, y: 0, w: 800, h: 600 };
+    // Camera; w and h are the visible world size in px (the canvas size divided by the pinch zoom)
+    const cam = { x: 0, y: 0, w: 800, h: 600, zoom: 1 };
 
     // Resize canvas to available area
     function resize() {
-      // Keep room for HUD (right panel width ~320 + padding)
-      canvas.width = Math.max(320, window.innerWidth - 360);
-      canvas.height = Math.max(320, window.innerHeight - 92);
-      cam.w = canvas.width;
-      cam.h = canvas.height;
+      if (document.body.classList.contains("touch")) {
+        // touch layout: the canvas fills the screen under the top bar, the HUD is a drawer over it
+        const topbar = document.getElementById("topbar");
+        canvas.width = window.innerWidth;
+        canvas.height = Math.max(240, window.innerHeight - (topbar ? topbar.offsetHeight : 0));
+      } else {
+        // Keep room for HUD (right panel width ~320 + padding)
+        canvas.width = Math.max(320, window.innerWidth - 360);
+        canvas.height = Math.max(320, window.innerHeight - 92);
+      }
+      setZoom(cam.zoom);
+    }
+    function setZoom(z) {
+      cam.zoom = clamp(z, CONFIG.MIN_ZOOM, CONFIG.MAX_ZOOM);
+      cam.w = canvas.width / cam.zoom;
+      cam.h = canvas.height / cam.zoom;
     }
     window.addEventListener("resize", resize);
     resize();
@@ -106,8 +220,11 @@
     // ---- Networking: connect to server (LAN-friendly) ----
     // The server should be run locally and bound to 0.0.0.0 (see server.js).
     function connect() {
+      if (!reconnectAllowed || !currentRoom) return;
+      if (ws && ws.readyState <= 1) return; // already connecting or open
       const proto = location.protocol === "https:" ? "wss:" : "ws:";
-      const url = `${proto}//${location.host}/ws`;
+      // the mode only matters if this connection creates the room
+      const url = `${proto}//${location.host}/ws?room=${encodeURIComponent(currentRoom)}${newRoomMode ? `&mode=${newRoomMode}` : ""}`;
       console.log("[MooLite] attempting WS:", url);
       setStatus("Connecting...");
       try {
@@ -118,16 +235,52 @@
         ws = null;
         return;
       }
+      const sock = ws;
+      ws.binaryType = "arraybuffer";
+      wireEncoding = "json";
+      binIds = [];
       ws.addEventListener("open", () => {
         console.log("[MooLite] ws open");
         setStatus("Connected");
-        // send join with username
-        ws.send(JSON.stringify({ type: "join", name: username }));
+        // send join with username and the protocol versions/encodings this page speaks
+        ws.send(JSON.stringify({ type: "join", name: username, token: profileToken || undefined, resume: resumeToken || undefined, version: PROTOCOL.VERSION, encodings: PROTOCOL.ENCODINGS }));
       });
-      ws.addEventListener("message", (ev) => onMessageSafe(ev.data));
-      ws.addEventListener("close", () => {
+      ws.addEventListener("message", (ev) => {
+        if (sock !== ws) return;
+        if (typeof ev.data === "string") onMessageSafe(ev.data);
+        else onBinarySafe(ev.data);
+      });
+      ws.addEventListener("close", (ev) => {
         console.warn("[MooLite] ws closed");
-        setStatus("Disconnected");
+        if (sock !== ws) return; // superseded by a newer connection (room switch)
+        if (ev.code === 4000) {
+          // this player was taken over by another tab; reconnecting would just steal it back
+          reconnectAllowed = false;
+          setStatus("Playing in another tab");
+          return;
+        }
+        if (ev.code === 4004 || ev.code === 4005 || ev.code === 4006) {
+          // banned or kicked by an admin, or dropped for sending too many invalid messages
+          reconnectAllowed = false;
+          setStatus(ev.reason || (ev.code === 4004 ? "Banned" : "Kicked"));
+          addChat("System", ev.reason || (ev.code === 4004 ? "You are banned from this server" : "You were kicked"));
+          return;
+        }
+        if (ev.code === 4007) {
+          // this page is older or newer than the server; the reason is already in chat
+          reconnectAllowed = false;
+          setStatus("Version mismatch — reload the page");
+          return;
+        }
+        if (ev.code === 4002 || ev.code === 4003) {
+          // the server refused the room (bad name, or no room left to create one)
+          reconnectAllowed = false;
+          setStatus(ev.reason || "Room unavailable");
+          showLobby(ev.reason || "Room unavailable");
+          return;
+        }
+        if (!reconnectAllowed) { setStatus("Left room"); return; }
+        setStatus(resumeToken ? "Disconnected — resuming..." : "Disconnected");
         // attempt reconnect after delay
         setTimeout(connect, 2000);
       });
@@ -141,18 +294,156 @@
     function onMessageSafe(data) {
       try {
         const msg = JSON.parse(data);
-        handleMessage(msg);
+        handleMessage(msg, data.length);
       } catch (e) {
         console.warn("[MooLite] bad message:", e, data);
       }
     }
 
+    function onBinarySafe(data) {
+      try {
+        const msg = decodeBinary(data);
+        if (msg) handleMessage(msg, data.byteLength);
+      } catch (e) {
+        console.warn("[MooLite] bad binary message:", e);
+      }
+    }
+
+    // ---- Binary encoding (see PROTOCOL) ----
+    const textDecoder = new TextDecoder();
+    function createReader(buf) {
+      const bytes = new Uint8Array(buf);
+      let pos = 0;
+      const r = {
+        u8() { return bytes[pos++]; },
+        uv() {
+          let v = 0, mul = 1, b;
+          do {
+            b = bytes[pos++];
+            v += (b & 127) * mul;
+            mul *= 128;
+          } while (b & 128);
+          return v;
+        },
+        sv() {
+          const v = r.uv();
+          return v % 2 ? -(v + 1) / 2 : v / 2;
+        },
+        str() {
+          const n = r.uv();
+          const s = textDecoder.decode(bytes.subarray(pos, pos + n));
+          pos += n;
+          return s;
+        }
+      };
+      return r;
+    }
+
+    function readField(r, type) {
+      if (type === "u") return r.uv();
+      if (type === "s") return r.sv();
+      if (type === "pos") return r.uv() / PROTOCOL.POS_SCALE;
+      if (type === "str") return r.str();
+      if (type === "bool") return r.u8() === 1;
+      if (type === "inv") {
+        const o = {};
+        for (let n = r.uv(); n > 0; n--) { const k = r.str(); o[k] = r.uv(); }
+        return o;
+      }
+      if (type === "list") {
+        const list = [];
+        for (let n = r.uv(); n > 0; n--) list.push(r.str());
+        return list;
+      }
+    }
+
+    // 0 introduces a new id (string follows), anything else is a known id's index + 1
+    function readId(r) {
+      const k = r.uv();
+      if (k > 0) return binIds[k - 1];
+      const id = r.str();
+      binIds.push(id);
+      return id;
+    }
+
+    // Binary state frame -> the same shape as a JSON state message
+    function decodeBinary(buf) {
+      const r = createReader(buf);
+      if (r.u8() !== PROTOCOL.STATE) return null;
+      const msg = { type: "state", id: r.uv(), base: r.uv(), tick: r.uv(), players: {}, nodes: [], buildings: [], mobs: [] };
+      msg.clock = { time: r.uv() / 10000, day: r.uv(), weather: r.str() };
+      msg.round = { mode: r.str(), phase: r.str(), left: r.uv(), score: r.uv(), leader: r.str(), best: r.uv(), holder: r.str(), contested: r.u8() === 1 };
+      for (const g in PROTOCOL.FIELDS) {
+        const fields = PROTOCOL.FIELDS[g];
+        for (let n = r.uv(); n > 0; n--) {
+          const e = { id: readId(r) };
+          const mask = r.uv();
+          fields.forEach(([f, type], i) => { if (Math.floor(mask / 2 ** i) % 2) e[f] = readField(r, type); });
+          // fields the table doesn't know yet travel as JSON
+          if (Math.floor(mask / 2 ** fields.length) % 2) Object.assign(e, JSON.parse(r.str()));
+          if (g === "players") msg.players[e.id] = e;
+          else msg[g].push(e);
+        }
+      }
+      if (r.u8() === 1) {
+        msg.removed = {};
+        for (const g in PROTOCOL.FIELDS) {
+          msg.removed[g] = [];
+          for (let n = r.uv(); n > 0; n--) msg.removed[g].push(readId(r));
+        }
+      }
+      return msg;
+    }
+
+    // Input frame: type, seq, ack (varints) and one byte of movement keys
+    function encodeInput(payload) {
+      const bytes = [PROTOCOL.INPUT];
+      const uv = v => {
+        while (v >= 128) { bytes.push((v % 128) | 128); v = Math.floor(v / 128); }
+        bytes.push(v);
+      };
+      uv(payload.seq);
+      uv(payload.ack);
+      const k = payload.keys;
+      bytes.push((k.up ? 1 : 0) | (k.down ? 2 : 0) | (k.left ? 4 : 0) | (k.right ? 8 : 0));
+      return new Uint8Array(bytes);
+    }
+
     // ---- Message handling (server -> client) ----
-    function handleMessage(msg) {
+    // size: the message's length on the wire, for the netgraph (none for replayed messages)
+    function handleMessage(msg, size) {
       if (!msg || !msg.type) return;
       if (msg.type === "welcome") {
         myId = msg.id;
+        wireEncoding = (msg.protocol && msg.protocol.encoding) || "json";
+        snapshots = [];
+        resetNet(msg.tick);
+        sendPing();
+        roster = [];
+        mobCounts = {};
+        clans = msg.clans || [];
+        if (msg.world) setWorld(msg.world);
+        if (msg.clock) setClock(msg.clock, Date.now());
+        if (msg.round) setRound(msg.round);
+        if (roomLabel) roomLabel.textContent = `Room: ${msg.room || currentRoom}${terrain ? ` · seed ${terrain.seed}` : ""}`;
+        if (msg.token && msg.token !== profileToken) {
+          profileToken = msg.token;
+          localStorage.setItem("moolite_token", profileToken);
+        }
+        if (msg.resume) {
+          resumeToken = msg.resume;
+          sessionStorage.setItem("moolite_resume", resumeToken);
+        }
         worldState = msg.state || worldState;
+        pendingInputs = [];
+        setConfig(msg.config || { tickRate: msg.tickRate });
+        setCatalogs(msg);
+        if (msg.statTypes) {
+          statDefs = msg.statTypes;
+          renderSortOptions();
+        }
+        decodedSnaps = [];
+        lastSnapId = 0;
         // set local position from server authoritative player if available
         if (worldState.players && worldState.players[myId]) {
           const p = worldState.players[myId];
@@ -160,45 +451,247 @@
         }
         addChat("System", `Joined as ${username}`);
       } else if (msg.type === "state") {
-        snapshots.push({ t: Date.now(), players: msg.players || {}, nodes: msg.nodes || [], buildings: msg.buildings || [] });
+        if (msg.clock) setClock(msg.clock, Date.now());
+        if (msg.round) Object.assign(round, msg.round);
+        const snap = decodeSnapshot(msg);
+        if (!snap) return;
+        snapshots.push(snap);
         // keep small buffer for interpolation
         if (snapshots.length > 12) snapshots.shift();
-        // reconcile local player
-        if (msg.players && myId && msg.players[myId]) {
-          const s = msg.players[myId];
-          const d2 = (local.x - s.x) ** 2 + (local.y - s.y) ** 2;
-          if (d2 > 900) { // if >30px difference snap closer
-            local.x = s.x; local.y = s.y;
-          }
+        noteSnapshot(size || 0);
+        // reconcile local player: rewind to the server position, then replay unacked inputs
+        if (myId && snap.players[myId]) {
+          const s = snap.players[myId];
+          const acked = s.seq || 0;
+          pendingInputs = pendingInputs.filter(i => i.seq > acked);
+          local.x = s.x; local.y = s.y;
+          for (const input of pendingInputs) applyLocalPrediction(input, 1 / CONFIG.TICK_RATE);
           local.hp = s.hp;
+          if (s.hunger !== undefined) local.hunger = s.hunger;
           local.inventory = s.inv || local.inventory;
+          local.items = s.items || local.items;
+          local.equipped = s.equipped || local.equipped;
         }
+      } else if (msg.type === "pong") {
+        onPong(msg);
+      } else if (msg.type === "roster") {
+        roster = msg.players || [];
+        mobCounts = msg.mobs || mobCounts;
+      } else if (msg.type === "clans") {
+        clans = msg.clans || [];
+      } else if (msg.type === "round") {
+        setRound(msg.round);
+      } else if (msg.type === "config") {
+        // the host reloaded the server's settings
+        setConfig(msg.config);
+        setCatalogs(msg);
+      } else if (msg.type === "world") {
+        setWorld(msg.world);
+        if (roomLabel && terrain) roomLabel.textContent = `Room: ${currentRoom} · seed ${terrain.seed}`;
       } else if (msg.type === "chat") {
-        addChat(msg.fromName || "Anon", msg.text || "");
+        const clan = msg.channel === "clan" && clanOf(myId);
+        addChat(clan ? `[${clan.tag}] ${msg.fromName || "Anon"}` : (msg.fromName || "Anon"), msg.text || "", clan ? "clan" : "");
+      } else if (msg.type === "rejected") {
+        // a refused join's reason also comes as a chat message (for pages that predate "rejected")
+        if (msg.action !== "join") addChat("System", msg.reason || `${msg.action} rejected`);
       } else if (msg.type === "playerLeft") {
         addChat("System", `${msg.name || msg.id} left`);
       }
     }
 
-    // ---- Send input periodically ----
+    // Shared settings from the server (welcome, config messages, recording headers), so prediction and
+    // rendering use the server's world size, rates, speed, range and collision sizes
+    function setConfig(c) {
+      if (!c) return;
+      CONFIG.WORLD_W = c.worldW || CONFIG.WORLD_W;
+      CONFIG.WORLD_H = c.worldH || CONFIG.WORLD_H;
+      CONFIG.PLAYER_SPEED = c.playerSpeed || CONFIG.PLAYER_SPEED;
+      CONFIG.ACTION_RANGE = c.actionRange || CONFIG.ACTION_RANGE;
+      if (c.snapshotRate) CONFIG.SNAP_RATE_MS = 1000 / c.snapshotRate;
+      if (c.interpDelayMs) CONFIG.INTERP_MS = c.interpDelayMs;
+      if (c.playerRadius) SOLIDS.PLAYER_RADIUS = c.playerRadius;
+      if (c.nodeRadius) SOLIDS.NODE_RADIUS = c.nodeRadius;
+      if (c.tickRate && c.tickRate !== CONFIG.TICK_RATE) {
+        CONFIG.TICK_RATE = c.tickRate;
+        startInputLoop();
+      }
+    }
+
+    // Building, item and mob catalogs (welcome, config messages, recording headers)
+    function setCatalogs(msg) {
+      if (msg.buildings) {
+        buildingDefs = msg.buildings;
+        renderBuildMenu();
+        renderTouchBuildMenu();
+      }
+      if (msg.items) {
+        itemDefs = msg.items;
+        itemsUiKey = ""; // recipes may have changed
+      }
+      if (msg.mobTypes) mobDefs = msg.mobTypes;
+    }
+
+    function setWorld(world) {
+      if (!world) return;
+      CONFIG.WORLD_W = world.W || CONFIG.WORLD_W;
+      CONFIG.WORLD_H = world.H || CONFIG.WORLD_H;
+      terrain = world.cells ? world : null;
+    }
+
+    function setClock(c, at) {
+      Object.assign(clock, c);
+      clockAt = at;
+    }
+    function setRound(info) {
+      if (!info) return;
+      roundInfo = info;
+      round.mode = info.mode;
+      round.phase = info.phase;
+    }
+    function modeDef() {
+      return roundInfo.modes[round.mode] || {};
+    }
+    // Time of day now (0 midnight, 0.5 noon); replays run on the recording's time
+    function timeOfDay() {
+      const nowt = replay ? replay.time : Date.now();
+      return (clock.time + (nowt - clockAt) / clock.dayLengthMs) % 1;
+    }
+    // 0 in daylight up to 0.85 in the middle of the night, fading in around sunset and out around sunrise
+    function darkness() {
+      const sun = Math.cos((timeOfDay() - 0.5) * Math.PI * 2);
+      return clamp(0.15 - sun * 1.4, 0, 0.85);
+    }
+    function isNight() {
+      return Math.cos((timeOfDay() - 0.5) * Math.PI * 2) < 0;
+    }
+    function weatherDef() {
+      return clock.weatherTypes[clock.weather] || {};
+    }
+
+    // Solid terrain cells (water) within reach of a point, as boxes for pushOut
+    function solidCellsNear(x, y, reach) {
+      const out = [];
+      if (!terrain) return out;
+      const c = terrain.cell;
+      const x0 = Math.max(0, Math.floor((x - reach) / c)), x1 = Math.min(terrain.cols - 1, Math.floor((x + reach) / c));
+      const y0 = Math.max(0, Math.floor((y - reach) / c)), y1 = Math.min(terrain.rows - 1, Math.floor((y + reach) / c));
+      for (let cy = y0; cy <= y1; cy++) {
+        for (let cx = x0; cx <= x1; cx++) {
+          const biome = terrain.biomes[terrain.cells[cy * terrain.cols + cx]];
+          if (biome && biome.solid) out.push({ x: (cx + 0.5) * c, y: (cy + 0.5) * c, hw: c / 2, hh: c / 2 });
+        }
+      }
+      return out;
+    }
+
+    // Merge a keyframe or delta state message into a full snapshot.
+    // Returns null when the delta's baseline is no longer available (the next keyframe resyncs).
+    function decodeSnapshot(msg) {
+      let base = null;
+      if (msg.base) {
+        base = decodedSnaps.find(d => d.id === msg.base);
+        if (!base) return null;
+      }
+      const players = Object.assign({}, base ? base.players : {});
+      const nodes = Object.assign({}, base ? base.nodes : {});
+      const buildings = Object.assign({}, base ? base.buildings : {});
+      const mobs = Object.assign({}, base ? base.mobs : {});
+      for (const id in (msg.players || {})) players[id] = Object.assign({}, players[id], msg.players[id]);
+      for (const n of msg.nodes || []) nodes[n.id] = Object.assign({}, nodes[n.id], n);
+      for (const b of msg.buildings || []) buildings[b.id] = Object.assign({}, buildings[b.id], b);
+      for (const m of msg.mobs || []) mobs[m.id] = Object.assign({}, mobs[m.id], m);
+      const removed = msg.removed || {};
+      for (const id of removed.players || []) delete players[id];
+      for (const id of removed.nodes || []) delete nodes[id];
+      for (const id of removed.buildings || []) delete buildings[id];
+      for (const id of removed.mobs || []) delete mobs[id];
+
+      decodedSnaps.push({ id: msg.id, players, nodes, buildings, mobs });
+      if (decodedSnaps.length > 40) decodedSnaps.shift();
+      if (msg.id > lastSnapId) lastSnapId = msg.id;
+      worldState = { players, nodes: Object.values(nodes), buildings: Object.values(buildings), mobs: Object.values(mobs) };
+      return { t: Date.now(), tick: msg.tick, players, nodes: worldState.nodes, buildings: worldState.buildings, mobs: worldState.mobs };
+    }
+
+    // ---- Latency & clock sync ----
+    // Pings carry our send time and pongs echo it with the server's clock: the round trip is the ping, and the
+    // server clock minus ours halfway through the trip is the clock offset. The offset is taken from the quickest
+    // recent pong (the one least delayed by queuing); jitter is the smoothed change between consecutive round trips.
+    // Times are performance.now() on our side, which doesn't jump when the system clock is adjusted.
+    const net = {
+      samples: [], // the last PING_SAMPLES pongs: {rtt, offset}
+      rtt: 0,
+      jitter: 0,
+      offset: 0, // server Date.now() minus our performance.now()
+      synced: false, // true once a pong arrived (until then the offset comes from welcome's tick)
+      arrivals: [], // recent snapshots: {at, bytes}
+      inputBytes: 0 // size of the last input sent
+    };
+    function resetNet(serverTick) {
+      net.samples = [];
+      net.rtt = 0;
+      net.jitter = 0;
+      net.synced = false;
+      net.arrivals = [];
+      // a first guess that ignores the trip's latency, good enough until the first pong
+      if (serverTick) net.offset = serverTick - performance.now();
+    }
+    function sendPing() {
+      if (!ws || ws.readyState !== 1) return;
+      try { ws.send(JSON.stringify({ type: "ping", t: performance.now() })); } catch (e) { /* ignore */ }
+    }
+    function onPong(msg) {
+      if (typeof msg.t !== "number" || typeof msg.server !== "number") return;
+      const nowt = performance.now();
+      const rtt = Math.max(0, nowt - msg.t);
+      const last = net.samples[net.samples.length - 1];
+      if (last) net.jitter += (Math.abs(rtt - last.rtt) - net.jitter) / 4;
+      net.rtt = net.rtt ? net.rtt * 0.75 + rtt * 0.25 : rtt;
+      net.samples.push({ rtt, offset: msg.server + rtt / 2 - nowt });
+      if (net.samples.length > CONFIG.PING_SAMPLES) net.samples.shift();
+      net.offset = net.samples.reduce((best, s) => s.rtt < best.rtt ? s : best).offset;
+      net.synced = true;
+    }
+    // The server's Date.now(), as far as we can tell
+    function serverNow() {
+      return performance.now() + net.offset;
+    }
+    function noteSnapshot(bytes) {
+      net.arrivals.push({ at: performance.now(), bytes });
+      if (net.arrivals.length > 60) net.arrivals.shift();
+    }
+
+    // ---- Send input every simulation tick ----
+    // The server applies one queued input per fixed step, so dt is informational only.
     let inputSeq = 0;
-    setInterval(() => {
+    let inputTimer = null;
+    function sendInput() {
       if (!ws || ws.readyState !== 1) return;
-      const dt = 100; // ms
+      const dt = 1000 / CONFIG.TICK_RATE; // ms
       const payload = {
         type: "input",
         seq: ++inputSeq,
         dt,
+        ack: lastSnapId,
         keys: { up: inputState.up, down: inputState.down, left: inputState.left, right: inputState.right },
-        mouse: { x: inputState.mouse.x + cam.x, y: inputState.mouse.y + cam.y, down: inputState.mouse.down }
+        mouse: { x: inputState.mouse.x / cam.zoom + cam.x, y: inputState.mouse.y / cam.zoom + cam.y, down: inputState.mouse.down }
       };
-      // optimistic local prediction
+      // optimistic local prediction, kept until the server acknowledges this seq
       applyLocalPrediction(payload, dt / 1000);
-      try { ws.send(JSON.stringify(payload)); } catch (e) { console.warn(e); }
-    }, 100);
+      pendingInputs.push({ seq: payload.seq, keys: payload.keys });
+      if (pendingInputs.length > 120) pendingInputs.shift();
+      const frame = wireEncoding === "binary" ? encodeInput(payload) : JSON.stringify(payload);
+      net.inputBytes = frame.length;
+      try { ws.send(frame); } catch (e) { console.warn(e); }
+    }
+    function startInputLoop() {
+      if (inputTimer) clearInterval(inputTimer);
+      inputTimer = setInterval(sendInput, 1000 / CONFIG.TICK_RATE);
+    }
+    startInputLoop();
 
     function applyLocalPrediction(input, secs) {
-      const spd = CONFIG.PLAYER_SPEED;
+      const spd = CONFIG.PLAYER_SPEED * (weatherDef().speed || 1);
       let vx = 0, vy = 0;
       if (input.keys.up) vy -= 1;
       if (input.keys.down) vy += 1;
@@ -209,6 +702,65 @@
       vy = vy / mag * spd;
       local.x = clamp(local.x + vx * secs, 0, CONFIG.WORLD_W);
       local.y = clamp(local.y + vy * secs, 0, CONFIG.WORLD_H);
+      resolveLocalCollisions();
+    }
+
+    // Same rules as the server's resolveCollisions, against the latest known world
+    function resolveLocalCollisions() {
+      const snap = getLatestSnapshot();
+      const R = SOLIDS.PLAYER_RADIUS;
+      const colliders = [];
+      for (const n of snap.nodes || []) {
+        if (n.hp > 0) colliders.push({ x: n.x, y: n.y, r: SOLIDS.NODE_RADIUS[n.type] || R });
+      }
+      for (const b of snap.buildings || []) {
+        const def = buildingDefs[b.kind];
+        if (!def || !def.solid) continue;
+        if (def.ownerPasses && allied(b.owner)) continue;
+        colliders.push({ x: b.x, y: b.y, hw: def.half, hh: def.half });
+      }
+      for (const id in (snap.players || {})) {
+        if (id !== myId) colliders.push({ x: snap.players[id].x, y: snap.players[id].y, r: R });
+      }
+      for (const m of snap.mobs || []) {
+        if (mobDefs[m.kind]) colliders.push({ x: m.x, y: m.y, r: mobDefs[m.kind].radius });
+      }
+      const reach = R + 64;
+      const near = colliders.filter(c => Math.abs(c.x - local.x) < reach && Math.abs(c.y - local.y) < reach);
+      for (let pass = 0; pass < 3; pass++) {
+        let moved = false;
+        for (const c of near) if (pushOut(local, c, R)) moved = true;
+        for (const c of solidCellsNear(local.x, local.y, R)) if (pushOut(local, c, R)) moved = true;
+        local.x = clamp(local.x, 0, CONFIG.WORLD_W);
+        local.y = clamp(local.y, 0, CONFIG.WORLD_H);
+        if (!moved) break;
+      }
+    }
+
+    function pushOut(e, c, R) {
+      if (c.r !== undefined) {
+        let dx = e.x - c.x, dy = e.y - c.y, d = Math.hypot(dx, dy);
+        const min = c.r + R;
+        if (d >= min) return false;
+        if (d === 0) { dx = 1; dy = 0; d = 1; }
+        e.x = c.x + dx / d * min; e.y = c.y + dy / d * min;
+        return true;
+      }
+      const qx = clamp(e.x, c.x - c.hw, c.x + c.hw), qy = clamp(e.y, c.y - c.hh, c.y + c.hh);
+      const dx = e.x - qx, dy = e.y - qy, d = Math.hypot(dx, dy);
+      if (d >= R) return false;
+      if (d > 0) {
+        e.x = qx + dx / d * R; e.y = qy + dy / d * R;
+      } else {
+        const left = e.x - (c.x - c.hw), right = (c.x + c.hw) - e.x;
+        const top = e.y - (c.y - c.hh), bottom = (c.y + c.hh) - e.y;
+        const m = Math.min(left, right, top, bottom);
+        if (m === left) e.x = c.x - c.hw - R;
+        else if (m === right) e.x = c.x + c.hw + R;
+        else if (m === top) e.y = c.y - c.hh - R;
+        else e.y = c.y + c.hh + R;
+      }
+      return true;
     }
 
     // ---- UI events ----
@@ -218,6 +770,20 @@
       if (e.key === "ArrowLeft" || e.key === "a") inputState.left = true;
       if (e.key === "ArrowRight" || e.key === "d") inputState.right = true;
       if (e.key === "Enter") chatInput && chatInput.focus();
+      // 1-9 select a hotbar slot (ignored while typing in a text field)
+      if (e.key >= "1" && e.key <= "9" && !(document.activeElement && document.activeElement.tagName === "INPUT")) {
+        const item = local.items[Number(e.key) - 1];
+        if (item) equipItem(item);
+      }
+      if (e.key === "e" && !(document.activeElement && document.activeElement.tagName === "INPUT")) eat();
+      if (e.key === "n" && !(document.activeElement && document.activeElement.tagName === "INPUT")) {
+        showNetgraph = !showNetgraph;
+        localStorage.setItem("moolite_netgraph", showNetgraph ? "1" : "");
+      }
+      if (e.key === " " && replay && !(document.activeElement && document.activeElement.tagName === "INPUT")) {
+        e.preventDefault();
+        toggleReplayPlay();
+      }
     });
     window.addEventListener("keyup", e => {
       if (e.key === "ArrowUp" || e.key === "w") inputState.up = false;
@@ -234,25 +800,230 @@
     });
     canvas.addEventListener("mousedown", e => {
       inputState.mouse.down = true;
-      const worldX = inputState.mouse.x + cam.x, worldY = inputState.mouse.y + cam.y;
-      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "action", action: "click", x: worldX, y: worldY }));
+      const worldX = inputState.mouse.x / cam.zoom + cam.x, worldY = inputState.mouse.y / cam.zoom + cam.y;
+      swingAt(worldX, worldY);
     });
     canvas.addEventListener("mouseup", () => { inputState.mouse.down = false; });
-    canvas.addEventListener("touchstart", e => {
-      const t = e.touches[0];
+
+    function swingAt(x, y) {
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "action", action: "click", x, y }));
+    }
+
+    // ---- Touch controls ----
+    // On touch screens a virtual joystick drives the same up/down/left/right keys as the keyboard, an attack
+    // button swings at the nearest target in reach, the build button opens a picker with a ghost building to drag
+    // into place, two fingers pinch-zoom the camera and a single tap swings at the tapped spot.
+    // The HUD becomes a drawer opened with ☰ (or 💬 for chat).
+    const touchEls = {
+      root: document.getElementById("touch-controls"),
+      joystick: document.getElementById("joystick"),
+      knob: document.getElementById("joystick-knob"),
+      attack: document.getElementById("touch-attack"),
+      build: document.getElementById("touch-build"),
+      buildMenu: document.getElementById("touch-build-menu"),
+      eat: document.getElementById("touch-eat"),
+      chat: document.getElementById("touch-chat"),
+      menu: document.getElementById("touch-menu")
+    };
+    const JOYSTICK_RADIUS = 40; // px the knob can travel from the centre
+    const JOYSTICK_DEADZONE = 0.25; // share of the radius that doesn't move the player
+    let facing = 0; // angle of the last joystick direction, for swings with nothing in reach
+    // building being placed: kind and ghost offset from the player (kept within ACTION_RANGE, like the server)
+    let placing = null;
+
+    function setTouchUi(on) {
+      if (on === document.body.classList.contains("touch")) return;
+      document.body.classList.toggle("touch", on);
+      if (touchEls.root) touchEls.root.hidden = !on;
+      resize();
+    }
+    if (window.matchMedia && window.matchMedia("(pointer: coarse)").matches) setTouchUi(true);
+    window.addEventListener("touchstart", () => setTouchUi(true), { passive: true });
+
+    // prevents scrolling and the synthetic mouse events that follow a touch
+    const onTouch = (el, type, fn) => el && el.addEventListener(type, e => { e.preventDefault(); fn(e); }, { passive: false });
+
+    // Joystick: the knob follows the finger that started on it; its direction sets the movement keys
+    let stickTouch = null;
+    function moveStick(t) {
+      const r = touchEls.joystick.getBoundingClientRect();
+      let dx = t.clientX - (r.left + r.width / 2), dy = t.clientY - (r.top + r.height / 2);
+      const d = Math.hypot(dx, dy);
+      if (d > JOYSTICK_RADIUS) { dx = dx / d * JOYSTICK_RADIUS; dy = dy / d * JOYSTICK_RADIUS; }
+      if (touchEls.knob) touchEls.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+      const moving = d > JOYSTICK_RADIUS * JOYSTICK_DEADZONE;
+      // eight directions: a key is held once the stick leans more than 22.5° towards it
+      const nx = moving ? dx / Math.hypot(dx, dy) : 0, ny = moving ? dy / Math.hypot(dx, dy) : 0;
+      inputState.left = nx < -0.38; inputState.right = nx > 0.38;
+      inputState.up = ny < -0.38; inputState.down = ny > 0.38;
+      if (moving) facing = Math.atan2(dy, dx);
+    }
+    function releaseStick() {
+      stickTouch = null;
+      if (touchEls.knob) touchEls.knob.style.transform = "";
+      inputState.up = inputState.down = inputState.left = inputState.right = false;
+    }
+    const stickTouchIn = e => stickTouch !== null && [...e.changedTouches].find(t => t.identifier === stickTouch);
+    onTouch(touchEls.joystick, "touchstart", e => {
+      const t = e.changedTouches[0];
+      stickTouch = t.identifier;
+      moveStick(t);
+    });
+    onTouch(touchEls.joystick, "touchmove", e => { const t = stickTouchIn(e); if (t) moveStick(t); });
+    onTouch(touchEls.joystick, "touchend", e => { if (stickTouchIn(e)) releaseStick(); });
+    onTouch(touchEls.joystick, "touchcancel", releaseStick);
+
+    // Nearest thing the equipped item reaches, in the order the server checks them:
+    // enemy players, mobs, enemy buildings, then resources
+    function aimTarget() {
+      const snap = getLatestSnapshot();
+      const range = (itemDefs[local.equipped] || {}).range || CONFIG.ACTION_RANGE;
+      const groups = [
+        Object.keys(snap.players || {}).filter(id => !allied(id)).map(id => ({ e: snap.players[id], r: SOLIDS.PLAYER_RADIUS })),
+        (snap.mobs || []).map(m => ({ e: m, r: (mobDefs[m.kind] || {}).radius || 16 })),
+        (snap.buildings || []).filter(b => !allied(b.owner)).map(b => ({ e: b, r: (buildingDefs[b.kind] || {}).half || 20 })),
+        (snap.nodes || []).filter(n => n.hp > 0).map(n => ({ e: n, r: SOLIDS.NODE_RADIUS[n.type] || 0 }))
+      ];
+      for (const group of groups) {
+        let best = null, bestDist = Infinity;
+        for (const { e, r } of group) {
+          const d = Math.hypot(e.x - local.x, e.y - local.y);
+          if (d <= range + r && d < bestDist) { best = e; bestDist = d; }
+        }
+        if (best) return best;
+      }
+      return null;
+    }
+
+    // Attack button: swings while held, at the equipped item's cooldown
+    let attackTimer = null;
+    function touchSwing() {
+      const target = aimTarget();
+      const range = (itemDefs[local.equipped] || {}).range || CONFIG.ACTION_RANGE;
+      if (target) swingAt(target.x, target.y);
+      else swingAt(local.x + Math.cos(facing) * range * 0.8, local.y + Math.sin(facing) * range * 0.8);
+    }
+    function stopAttack() {
+      clearInterval(attackTimer);
+      attackTimer = null;
+      touchEls.attack && touchEls.attack.classList.remove("active");
+    }
+    onTouch(touchEls.attack, "touchstart", () => {
+      touchSwing();
+      clearInterval(attackTimer);
+      attackTimer = setInterval(touchSwing, (itemDefs[local.equipped] || {}).cooldownMs || 400);
+      touchEls.attack.classList.add("active");
+    });
+    onTouch(touchEls.attack, "touchend", stopAttack);
+    onTouch(touchEls.attack, "touchcancel", stopAttack);
+    onTouch(touchEls.eat, "touchstart", eat);
+
+    // Build button: toggles the picker; picking a kind shows its ghost in front of the player
+    function renderTouchBuildMenu() {
+      const menu = touchEls.buildMenu;
+      if (!menu) return;
+      menu.innerHTML = "";
+      for (const kind in buildingDefs) {
+        const def = buildingDefs[kind];
+        const btn = document.createElement("button");
+        btn.textContent = def.emoji;
+        btn.title = `${def.label} (${Object.keys(def.cost).map(k => `${def.cost[k]} ${k}`).join(" / ")})`;
+        if (placing && placing.kind === kind) btn.className = "active";
+        onTouch(btn, "touchstart", () => startPlacing(kind));
+        menu.appendChild(btn);
+      }
+      const place = document.createElement("button");
+      place.className = "confirm";
+      place.textContent = "✔";
+      place.title = "Place";
+      onTouch(place, "touchstart", placeGhost);
+      menu.appendChild(place);
+    }
+    function startPlacing(kind) {
+      const def = buildingDefs[kind] || {};
+      const d = Math.min(CONFIG.ACTION_RANGE - 2, (def.half || 20) + SOLIDS.PLAYER_RADIUS + 10);
+      placing = { kind, dx: Math.cos(facing) * d, dy: Math.sin(facing) * d };
+      renderTouchBuildMenu();
+    }
+    function stopPlacing() {
+      placing = null;
+      if (touchEls.buildMenu) touchEls.buildMenu.hidden = true;
+      touchEls.build && touchEls.build.classList.remove("active");
+    }
+    function placeGhost() {
+      if (!placing) return;
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "place", kind: placing.kind, x: local.x + placing.dx, y: local.y + placing.dy }));
+    }
+    // drag the ghost: it goes where the finger is, pulled back within building range of the player
+    function moveGhost(x, y) {
+      let dx = x - local.x, dy = y - local.y;
+      const d = Math.hypot(dx, dy), max = CONFIG.ACTION_RANGE - 2;
+      if (d > max) { dx = dx / d * max; dy = dy / d * max; }
+      placing.dx = dx; placing.dy = dy;
+    }
+    onTouch(touchEls.build, "touchstart", () => {
+      if (touchEls.buildMenu && !touchEls.buildMenu.hidden) return stopPlacing();
+      if (touchEls.buildMenu) touchEls.buildMenu.hidden = false;
+      touchEls.build.classList.add("active");
+      startPlacing(placing ? placing.kind : Object.keys(buildingDefs)[0]);
+    });
+
+    // HUD drawer, and chat inside it
+    onTouch(touchEls.menu, "touchstart", () => document.body.classList.toggle("hud-open"));
+    onTouch(touchEls.chat, "touchstart", () => {
+      document.body.classList.add("hud-open");
+      chatInput && chatInput.focus();
+    });
+
+    // Canvas: one finger taps (swing there) or drags the ghost while building, two fingers pinch-zoom
+    let pinch = null, tap = null;
+    const touchDist = e => Math.hypot(e.touches[0].clientX - e.touches[1].clientX, e.touches[0].clientY - e.touches[1].clientY);
+    function touchWorld(t) {
       const r = canvas.getBoundingClientRect();
-      const mx = t.clientX - r.left, my = t.clientY - r.top;
-      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "action", action: "tapMove", x: mx + cam.x, y: my + cam.y }));
+      return { x: (t.clientX - r.left) / cam.zoom + cam.x, y: (t.clientY - r.top) / cam.zoom + cam.y };
+    }
+    onTouch(canvas, "touchstart", e => {
+      document.body.classList.remove("hud-open");
+      if (e.touches.length >= 2) {
+        pinch = { dist: touchDist(e), zoom: cam.zoom };
+        tap = null;
+        return;
+      }
+      const t = e.touches[0];
+      if (placing) { const w = touchWorld(t); moveGhost(w.x, w.y); return; }
+      tap = { x: t.clientX, y: t.clientY, at: Date.now() };
+    });
+    onTouch(canvas, "touchmove", e => {
+      if (pinch && e.touches.length >= 2) {
+        setZoom(pinch.zoom * touchDist(e) / pinch.dist);
+        return;
+      }
+      const t = e.touches[0];
+      if (placing && !pinch) { const w = touchWorld(t); moveGhost(w.x, w.y); return; }
+      if (tap && Math.hypot(t.clientX - tap.x, t.clientY - tap.y) > 12) tap = null;
+    });
+    onTouch(canvas, "touchend", e => {
+      if (pinch) {
+        if (!e.touches.length) pinch = null;
+        return;
+      }
+      if (tap && Date.now() - tap.at < 300) {
+        const w = touchWorld(e.changedTouches[0]);
+        swingAt(w.x, w.y);
+      }
+      tap = null;
     });
 
-    // chat
+    // chat ("/c message" goes to the clan channel)
     chatForm && chatForm.addEventListener("submit", e => {
       e.preventDefault();
       if (!chatInput) return;
-      const text = String(chatInput.value || "").trim();
+      let text = String(chatInput.value || "").trim();
+      const toClan = /^\/c\s/i.test(text);
+      if (toClan) text = text.slice(3).trim();
       if (!text) return;
       const clean = sanitize(text);
-      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "chat", text: clean }));
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify(toClan ? { type: "chat", channel: "clan", text: clean } : { type: "chat", text: clean }));
       chatInput.value = "";
     });
 
@@ -264,55 +1035,210 @@
       if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "setName", name: username }));
     });
 
-    // build buttons
-    buildWallBtn && buildWallBtn.addEventListener("click", () => {
-      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "place", kind: "wall", x: local.x + 50, y: local.y }));
-    });
-    buildHomeBtn && buildHomeBtn.addEventListener("click", () => {
-      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "place", kind: "camp", x: local.x + 50, y: local.y }));
+    // build menu, generated from the server's building catalog
+    function renderBuildMenu() {
+      if (!actionsEl) return;
+      actionsEl.innerHTML = "";
+      for (const kind in buildingDefs) {
+        const def = buildingDefs[kind];
+        const cost = Object.keys(def.cost).map(k => `${def.cost[k]} ${k}`).join(" / ");
+        const btn = document.createElement("button");
+        btn.textContent = `${def.label} ${def.emoji} (${cost})`;
+        btn.addEventListener("click", () => {
+          if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "place", kind, x: local.x + 50, y: local.y }));
+        });
+        actionsEl.appendChild(btn);
+      }
+    }
+
+    // eat food to refill hunger and heal
+    function eat() {
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "eat" }));
+    }
+    eatBtn && eatBtn.addEventListener("click", eat);
+
+    // ---- Items: hotbar and crafting ----
+    function equipItem(item) {
+      local.equipped = item;
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "equip", item }));
+    }
+
+    function craftItem(item) {
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "craft", item }));
+    }
+
+    // Rebuilt only when owned items, equipped item or affordability change, so clicks aren't lost to re-renders
+    let itemsUiKey = "";
+    function renderItemsUI() {
+      const inv = local.inventory || {};
+      const canAfford = recipe => Object.keys(recipe).every(k => (inv[k] || 0) >= recipe[k]);
+      const craftable = Object.keys(itemDefs).filter(k => itemDefs[k].recipe && !local.items.includes(k));
+      const key = [local.items.join(","), local.equipped, craftable.map(k => k + canAfford(itemDefs[k].recipe)).join(",")].join("|");
+      if (key === itemsUiKey) return;
+      itemsUiKey = key;
+
+      if (hotbarEl) {
+        hotbarEl.innerHTML = "";
+        local.items.forEach((k, i) => {
+          const def = itemDefs[k];
+          if (!def) return;
+          const slot = document.createElement("button");
+          slot.className = "slot" + (k === local.equipped ? " active" : "");
+          slot.title = `${def.label} — dmg ${def.damage}, range ${def.range}`;
+          slot.textContent = `${i + 1} ${def.emoji}`;
+          slot.addEventListener("click", () => equipItem(k));
+          hotbarEl.appendChild(slot);
+        });
+      }
+      if (recipesEl) {
+        recipesEl.innerHTML = "";
+        for (const k of craftable) {
+          const def = itemDefs[k];
+          const cost = Object.keys(def.recipe).map(r => `${def.recipe[r]} ${r}`).join(" / ");
+          const btn = document.createElement("button");
+          btn.textContent = `${def.label} ${def.emoji} (${cost})`;
+          btn.disabled = !canAfford(def.recipe);
+          btn.addEventListener("click", () => craftItem(k));
+          recipesEl.appendChild(btn);
+        }
+        if (!craftable.length) recipesEl.textContent = "Everything crafted";
+      }
+    }
+
+    // ---- Clans ----
+    function clanOf(id) {
+      return clans.find(c => c.members.includes(id)) || null;
+    }
+
+    // Same player or clanmate of the local player (mirrors the server's allied())
+    function allied(id) {
+      if (id === myId) return true;
+      const mine = clanOf(myId);
+      return !!mine && mine.members.includes(id);
+    }
+
+    function clanAction(action, extra) {
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify(Object.assign({ type: "clan", action }, extra)));
+    }
+
+    clanForm && clanForm.addEventListener("submit", e => {
+      e.preventDefault();
+      const tag = String((clanInput && clanInput.value) || "").trim();
+      if (!tag) return;
+      clanAction("create", { tag });
+      clanInput.value = "";
     });
 
+    // Rebuilt only when clans or member names change, like the items UI
+    let clanUiKey = "";
+    function renderClanUI() {
+      if (!clanInfo) return;
+      const nameOf = id => (roster.find(p => p.id === id) || {}).name || id;
+      const mine = clanOf(myId);
+      const key = JSON.stringify([clans, myId, roster.map(p => p.id + p.name)]);
+      if (key === clanUiKey) return;
+      clanUiKey = key;
+      clanInfo.innerHTML = "";
+      clanForm && (clanForm.hidden = !!mine);
+      if (mine) {
+        const head = document.createElement("div");
+        head.textContent = `[${mine.tag}] — ${mine.members.length} member(s) · /c to chat`;
+        clanInfo.appendChild(head);
+        for (const id of mine.members) {
+          const row = document.createElement("div");
+          row.className = "clan-member";
+          row.textContent = `${nameOf(id)}${id === mine.leader ? " ★" : ""}`;
+          if (mine.leader === myId && id !== myId) {
+            const kick = document.createElement("button");
+            kick.textContent = "Kick";
+            kick.addEventListener("click", () => clanAction("kick", { id }));
+            row.appendChild(kick);
+          }
+          clanInfo.appendChild(row);
+        }
+        const leave = document.createElement("button");
+        leave.textContent = "Leave clan";
+        leave.addEventListener("click", () => clanAction("leave"));
+        clanInfo.appendChild(leave);
+      } else {
+        for (const c of clans) {
+          const btn = document.createElement("button");
+          btn.textContent = `Join [${c.tag}] (${c.members.length})`;
+          btn.addEventListener("click", () => clanAction("join", { tag: c.tag }));
+          clanInfo.appendChild(btn);
+        }
+        if (!clans.length) clanInfo.textContent = "No clans yet — create one";
+      }
+    }
+
     // ---- Rendering ----
     let lastFrame = performance.now();
     function loop(nowTime) {
       const dt = Math.min(64, nowTime - lastFrame) / 1000;
       lastFrame = nowTime;
 
-      // camera following local player
+      if (replay) advanceReplay(dt);
+
+      // camera following local player (or the replay camera)
       cam.x = clamp(local.x - cam.w / 2, 0, CONFIG.WORLD_W - cam.w);
       cam.y = clamp(local.y - cam.h / 2, 0, CONFIG.WORLD_H - cam.h);
 
       // clear
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
       ctx.fillStyle = "#092e2b";
       ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+      // the world is drawn in camera units (cam.w x cam.h) scaled by the zoom, the overlays in screen pixels
+      ctx.setTransform(cam.zoom, 0, 0, cam.zoom, 0, 0);
       drawGrid();
+      drawZone();
       drawNodes();
       drawBuildings();
+      drawGhost();
+      drawMobs();
       drawPlayers();
+      drawNight();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      drawWeather(dt);
       drawHUD();
+      drawNetgraph();
 
       if (miniCtx) drawMinimap();
       requestAnimationFrame(loop);
     }
     requestAnimationFrame(loop);
 
+    // Ground: the biome colour of every terrain cell in view, then the grid lines
     function drawGrid() {
+      if (terrain) {
+        const c = terrain.cell;
+        const x0 = Math.max(0, Math.floor(cam.x / c)), x1 = Math.min(terrain.cols - 1, Math.floor((cam.x + cam.w) / c));
+        const y0 = Math.max(0, Math.floor(cam.y / c)), y1 = Math.min(terrain.rows - 1, Math.floor((cam.y + cam.h) / c));
+        for (let cy = y0; cy <= y1; cy++) {
+          for (let cx = x0; cx <= x1; cx++) {
+            const biome = terrain.biomes[terrain.cells[cy * terrain.cols + cx]];
+            if (!biome) continue;
+            ctx.fillStyle = biome.color;
+            // a pixel of overlap hides seams between cells
+            ctx.fillRect(Math.floor(cx * c - cam.x), Math.floor(cy * c - cam.y), c + 1, c + 1);
+          }
+        }
+      }
       ctx.strokeStyle = "rgba(255,255,255,0.02)";
       ctx.lineWidth = 1;
       const step = CONFIG.TILE_SIZE;
       const startX = - (cam.x % step);
       const startY = - (cam.y % step);
-      for (let x = startX; x < canvas.width; x += step) {
-        ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, canvas.height); ctx.stroke();
+      for (let x = startX; x < cam.w; x += step) {
+        ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, cam.h); ctx.stroke();
       }
-      for (let y = startY; y < canvas.height; y += step) {
-        ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(canvas.width, y); ctx.stroke();
+      for (let y = startY; y < cam.h; y += step) {
+        ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(cam.w, y); ctx.stroke();
       }
     }
 
     function getLatestSnapshot() {
-      return snapshots[snapshots.length - 1] || { players: worldState.players, nodes: worldState.nodes || [], buildings: worldState.buildings || [] };
+      return snapshots[snapshots.length - 1] || { players: worldState.players, nodes: worldState.nodes || [], buildings: worldState.buildings || [], mobs: worldState.mobs || [] };
     }
 
     function drawNodes() {
@@ -342,62 +1268,318 @@
       for (const b of snap.buildings || []) {
         if (!inView(b.x, b.y)) continue;
         const sx = b.x - cam.x, sy = b.y - cam.y;
-        const emoji = b.kind === "wall" ? EMOJI.wall : EMOJI.camp;
+        const def = buildingDefs[b.kind];
+        const emoji = def ? def.emoji : (EMOJI[b.kind] || EMOJI.wall);
         ctx.fillText(emoji, sx, sy);
+        if (b.maxHp && b.hp < b.maxHp) {
+          const w = 36, h = 5; const px = sx - w / 2, py = sy + 22;
+          ctx.fillStyle = "#333"; ctx.fillRect(px, py, w, h);
+          ctx.fillStyle = allied(b.owner) ? "#6bb8e7" : "#e7a06b";
+          ctx.fillRect(px, py, clamp((b.hp / b.maxHp) * w, 0, w), h);
+        }
+      }
+    }
+
+    // Ghost of the building being placed from the touch build menu: red when out of reach or unaffordable
+    function drawGhost() {
+      if (!placing || !buildingDefs[placing.kind]) return;
+      const def = buildingDefs[placing.kind];
+      const x = local.x + placing.dx, y = local.y + placing.dy;
+      const sx = x - cam.x, sy = y - cam.y;
+      const inv = local.inventory || {};
+      const ok = Object.keys(def.cost).every(k => (inv[k] || 0) >= def.cost[k]) && Math.hypot(placing.dx, placing.dy) <= CONFIG.ACTION_RANGE;
+      ctx.save();
+      ctx.globalAlpha = 0.5;
+      ctx.fillStyle = ok ? "rgba(255, 209, 102, 0.35)" : "rgba(231, 107, 107, 0.45)";
+      ctx.fillRect(sx - def.half, sy - def.half, def.half * 2, def.half * 2);
+      ctx.font = "28px serif";
+      ctx.fillText(def.emoji, sx, sy);
+      ctx.restore();
+    }
+
+    // Remote players and mobs are drawn where they were INTERP_MS ago by the server's clock, between the two
+    // buffered snapshots around that time. With a snapshot every SNAP_RATE_MS there is normally one on either side,
+    // so movement stays smooth however unevenly the snapshots arrive; when they stop coming, the newest one holds.
+    function snapshotsAround(t) {
+      const n = snapshots.length;
+      if (!n) return null;
+      const newest = snapshots[n - 1];
+      // replays publish a single, already interpolated snapshot without a server tick
+      if (n < 2 || newest.tick === undefined || t >= newest.tick) return { a: newest, b: newest, alpha: 1 };
+      for (let i = n - 1; i > 0; i--) {
+        const a = snapshots[i - 1], b = snapshots[i];
+        if (a.tick <= t) return { a, b, alpha: clamp((t - a.tick) / (b.tick - a.tick || 1), 0, 1) };
+      }
+      return { a: snapshots[0], b: snapshots[0], alpha: 0 };
+    }
+    function renderTime() {
+      return serverNow() - CONFIG.INTERP_MS;
+    }
+    // Position between an entity's states in the two snapshots; one that is only in one of them stays put
+    function lerpPos(a, b, alpha) {
+      if (!a || !b) return a || b || null;
+      return { x: a.x + (b.x - a.x) * alpha, y: a.y + (b.y - a.y) * alpha };
+    }
+
+    function drawMobs() {
+      const snap = getLatestSnapshot();
+      const around = snapshotsAround(renderTime());
+      const byId = list => {
+        const out = {};
+        for (const m of list || []) out[m.id] = m;
+        return out;
+      };
+      const from = around ? byId(around.a.mobs) : {}, to = around ? byId(around.b.mobs) : {};
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      for (const m of snap.mobs || []) {
+        const { x, y } = lerpPos(from[m.id], to[m.id], around ? around.alpha : 1) || m;
+        if (!inView(x, y)) continue;
+        const def = mobDefs[m.kind] || {};
+        const sx = x - cam.x, sy = y - cam.y;
+        ctx.font = `${Math.round((def.radius || 16) * 1.8)}px serif`;
+        ctx.fillText(def.emoji || "🐾", sx, sy);
+        if (m.hp < m.maxHp) {
+          const w = 32, h = 4; const px = sx - w / 2, py = sy + (def.radius || 16) + 4;
+          ctx.fillStyle = "#333"; ctx.fillRect(px, py, w, h);
+          ctx.fillStyle = "#ff6b6b"; ctx.fillRect(px, py, clamp((m.hp / m.maxHp) * w, 0, w), h);
+        }
       }
     }
 
     function drawPlayers() {
       const latest = getLatestSnapshot();
       const players = latest.players || {};
+      const around = snapshotsAround(renderTime());
       for (const id in players) {
         const isMe = id === myId;
         let px = local.x, py = local.y, hp = local.hp, name = username;
         if (!isMe) {
-          // attempt interpolation between last two snapshots
-          if (snapshots.length >= 2) {
-            const b = snapshots[snapshots.length - 2];
-            const a = snapshots[snapshots.length - 1];
-            const pa = a.players[id], pb = b.players[id];
-            if (pa && pb) {
-              const nowt = Date.now();
-              const span = a.t - b.t || 1;
-              const alpha = clamp((nowt - a.t + CONFIG.INTERP_MS) / CONFIG.INTERP_MS, 0, 1);
-              px = pa.x * (1 - alpha) + pb.x * alpha;
-              py = pa.y * (1 - alpha) + pb.y * alpha;
-              hp = pa.hp; name = pa.name;
-            } else if (pa) {
-              px = pa.x; py = pa.y; hp = pa.hp; name = pa.name;
-            }
-          } else if (players[id]) {
-            px = players[id].x; py = players[id].y; hp = players[id].hp; name = players[id].name;
-          }
-        } else {
-          px = local.x; py = local.y; hp = local.hp; name = username;
+          // interpolated at render time (see snapshotsAround); the rest is the newest state
+          const p = players[id];
+          const pos = (around && lerpPos(around.a.players[id], around.b.players[id], around.alpha)) || p;
+          px = pos.x; py = pos.y; hp = p.hp; name = p.name;
         }
 
         if (!inView(px, py) && !isMe) continue;
         const sx = px - cam.x, sy = py - cam.y;
+        // spawn protection: blink while the server reports the player as invulnerable
+        const invuln = players[id] && players[id].invuln;
+        ctx.globalAlpha = invuln && Math.floor(performance.now() / 150) % 2 ? 0.45 : 1;
         ctx.beginPath();
-        ctx.fillStyle = isMe ? "#ffd166" : "#9ad3bc";
+        ctx.fillStyle = isMe ? "#ffd166" : allied(id) ? "#6bb8e7" : "#9ad3bc";
         ctx.arc(sx, sy, 16, 0, Math.PI * 2);
         ctx.fill();
         ctx.font = "18px serif";
-        ctx.fillText(EMOJI.player, sx, sy - 28);
+        ctx.fillText(players[id] && players[id].bot ? EMOJI.bot : EMOJI.player, sx, sy - 28);
+        const equipped = isMe ? local.equipped : (players[id] && players[id].equipped);
+        if (equipped && equipped !== "hand" && itemDefs[equipped]) ctx.fillText(itemDefs[equipped].emoji, sx + 22, sy + 2);
         ctx.font = "12px sans-serif";
         ctx.fillStyle = "#ffffff";
-        ctx.fillText(name, sx, sy - 40);
+        const clan = clanOf(id);
+        ctx.fillText(clan ? `[${clan.tag}] ${name}` : name, sx, sy - 40);
         const w = 40, h = 6;
         ctx.fillStyle = "#333"; ctx.fillRect(sx - w / 2, sy + 20, w, h);
         ctx.fillStyle = "#ff6b6b"; ctx.fillRect(sx - w / 2, sy + 20, clamp((hp / 100) * w, 0, w), h);
+        ctx.globalAlpha = 1;
+      }
+    }
+
+    // Night: a dark layer over the world with light cut out around players and lit buildings (camps, campfires)
+    let shade = null;
+    function drawNight() {
+      const dark = darkness();
+      if (dark <= 0) return;
+      if (!shade) {
+        const c = document.createElement("canvas");
+        const sctx = c.getContext && c.getContext("2d");
+        if (!sctx) return;
+        shade = { canvas: c, ctx: sctx };
+      }
+      const sc = shade.canvas, sctx = shade.ctx;
+      const w = Math.ceil(cam.w), h = Math.ceil(cam.h);
+      if (sc.width !== w || sc.height !== h) { sc.width = w; sc.height = h; }
+      sctx.globalCompositeOperation = "source-over";
+      sctx.clearRect(0, 0, sc.width, sc.height);
+      sctx.fillStyle = `rgba(4, 8, 28, ${dark})`;
+      sctx.fillRect(0, 0, sc.width, sc.height);
+      sctx.globalCompositeOperation = "destination-out";
+      const light = (x, y, r) => {
+        if (!inView(x, y) && !inView(x + r, y + r) && !inView(x - r, y - r)) return;
+        const sx = x - cam.x, sy = y - cam.y;
+        const g = sctx.createRadialGradient(sx, sy, r * 0.25, sx, sy, r);
+        g.addColorStop(0, "rgba(0,0,0,1)");
+        g.addColorStop(1, "rgba(0,0,0,0)");
+        sctx.fillStyle = g;
+        sctx.fillRect(sx - r, sy - r, r * 2, r * 2);
+      };
+      const snap = getLatestSnapshot();
+      for (const b of snap.buildings || []) {
+        const def = buildingDefs[b.kind];
+        if (def && def.light) light(b.x, b.y, def.light);
       }
+      for (const id in (snap.players || {})) {
+        if (id !== myId) light(snap.players[id].x, snap.players[id].y, clock.playerLight);
+      }
+      if (myId || replay) light(local.x, local.y, clock.playerLight);
+      ctx.drawImage(sc, 0, 0);
+    }
+
+    // Rain streaks or snowflakes drifting over the screen while that weather lasts
+    const weatherParticles = [];
+    function drawWeather(dt) {
+      const kind = clock.weather;
+      if (kind !== "rain" && kind !== "snow") { weatherParticles.length = 0; return; }
+      const count = kind === "rain" ? 160 : 110;
+      while (weatherParticles.length < count) weatherParticles.push({ x: Math.random() * canvas.width, y: Math.random() * canvas.height, s: 0.6 + Math.random() * 0.8 });
+      ctx.save();
+      ctx.strokeStyle = "rgba(170, 200, 255, 0.45)";
+      ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+      ctx.lineWidth = 1;
+      for (const p of weatherParticles) {
+        if (kind === "rain") {
+          p.x -= 120 * p.s * dt; p.y += 700 * p.s * dt;
+          ctx.beginPath(); ctx.moveTo(p.x, p.y); ctx.lineTo(p.x - 3, p.y + 12 * p.s); ctx.stroke();
+        } else {
+          p.x += Math.sin(p.y / 40) * 20 * dt; p.y += 60 * p.s * dt;
+          ctx.fillRect(p.x, p.y, 2 * p.s, 2 * p.s);
+        }
+        if (p.y > canvas.height) { p.y = -10; p.x = Math.random() * (canvas.width + 60); }
+        if (p.x < -10) p.x = canvas.width;
+      }
+      ctx.restore();
+    }
+
+    // King of the hill: the capture zone, gold while you (or your clan) hold it, red for someone else or a fight
+    function zoneColor() {
+      const clan = clanOf(myId);
+      if (round.contested) return "#ff8c42";
+      if (!round.holder) return "#ffffff";
+      return round.holder === username || (clan && round.holder === `[${clan.tag}]`) ? "#ffd166" : "#e76b6b";
+    }
+    function drawZone() {
+      const z = roundInfo.zone;
+      if (!z || (!inView(z.x, z.y) && !inView(z.x + z.r, z.y + z.r) && !inView(z.x - z.r, z.y - z.r))) return;
+      const sx = z.x - cam.x, sy = z.y - cam.y;
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(sx, sy, z.r, 0, Math.PI * 2);
+      ctx.fillStyle = zoneColor();
+      ctx.globalAlpha = 0.12;
+      ctx.fill();
+      ctx.globalAlpha = 0.8;
+      ctx.lineWidth = 3;
+      ctx.setLineDash([12, 8]);
+      ctx.strokeStyle = zoneColor();
+      ctx.stroke();
+      ctx.globalAlpha = 0.6;
+      ctx.font = "32px serif";
+      ctx.textAlign = "center";
+      ctx.fillText(modeDef().emoji || "👑", sx, sy + 10);
+      ctx.restore();
+    }
+
+    function formatLeft(secs) {
+      return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+    }
+
+    // One line about the round: phase and time left, then the mode's objective progress
+    function roundLine() {
+      const def = modeDef();
+      const title = `${def.emoji || ""} ${def.label || round.mode}`;
+      if (round.phase === "waiting") return `${title} — next round starts in ${formatLeft(round.left)}: ${def.description || ""}`;
+      if (round.phase === "results") return `${title} — round over, new world in ${formatLeft(round.left)}`;
+      if (round.phase === "build") return `${title} — build a camp! ${formatLeft(round.left)} left${replay ? "" : ` · your camps: ${round.score}`}`;
+      const parts = [`${title} · ${formatLeft(round.left)} left`];
+      // replays have no "you", only the leader and the zone
+      if (!replay) parts.push(round.mode === "lastcamp" && round.score === 0 ? "you are out: no camp left" : `you: ${round.score}${def.goal ? `/${def.goal}` : ""} ${def.unit || ""}`);
+      if (round.leader) parts.push(`leader: ${round.leader} (${round.best})`);
+      if (roundInfo.zone) parts.push(round.contested ? "zone contested!" : round.holder ? `zone held by ${round.holder}` : "zone empty");
+      return parts.join(" · ");
     }
 
     function drawHUD() {
       ctx.font = "14px sans-serif";
       ctx.fillStyle = "rgba(255,255,255,0.85)";
       ctx.textAlign = "left";
-      ctx.fillText(`Players: ${Object.keys((getLatestSnapshot().players || {})).length}`, 10, 20);
+      ctx.fillText(`Players: ${roster.length || Object.keys((getLatestSnapshot().players || {})).length}`, 10, 20);
+      if (round.phase === "open") return;
+      const line = roundLine();
+      ctx.textAlign = "center";
+      ctx.font = "bold 15px sans-serif";
+      const w = ctx.measureText(line).width + 24;
+      ctx.fillStyle = "rgba(0,0,0,0.45)";
+      ctx.fillRect(canvas.width / 2 - w / 2, 8, w, 26);
+      ctx.fillStyle = "#ffffff";
+      ctx.fillText(line, canvas.width / 2, 26);
+      if (round.phase === "results") drawResults();
+      ctx.textAlign = "left";
+    }
+
+    // Netgraph (N): ping, jitter, clock offset, snapshot rate and sizes, and how much is buffered ahead of the
+    // render time, over bars of the recent snapshot sizes (red after a gap of more than two snapshot intervals)
+    let showNetgraph = localStorage.getItem("moolite_netgraph") === "1";
+    function drawNetgraph() {
+      if (!showNetgraph || replay) return;
+      const nowt = performance.now();
+      const recent = net.arrivals.filter(s => nowt - s.at <= 1000);
+      const bytes = recent.reduce((sum, s) => sum + s.bytes, 0);
+      const newest = snapshots[snapshots.length - 1];
+      const buffered = newest && newest.tick !== undefined ? Math.round(newest.tick - renderTime()) : 0;
+      // the offset is against performance.now(); against our wall clock it shows how far the two clocks disagree
+      const skew = Math.round(net.offset - (Date.now() - performance.now()));
+      const lines = [
+        `ping ${Math.round(net.rtt)} ms · jitter ${Math.round(net.jitter)} ms`,
+        `clock ${net.synced ? `${skew >= 0 ? "+" : ""}${skew} ms` : "not synced yet"}`,
+        `snapshots ${recent.length}/s · ${recent.length ? Math.round(bytes / recent.length) : 0} B avg · ${(bytes / 1024).toFixed(1)} KB/s`,
+        `input ${net.inputBytes} B · ${wireEncoding}`,
+        `interp ${CONFIG.INTERP_MS} ms · buffered ${buffered} ms`
+      ];
+      const w = 250, graphH = 36, x = 10, y = 44;
+      const h = lines.length * 16 + graphH + 16;
+      ctx.save();
+      ctx.fillStyle = "rgba(0,0,0,0.55)";
+      ctx.fillRect(x, y, w, h);
+      ctx.font = "12px monospace";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+      ctx.fillStyle = buffered < 0 ? "#ff6b6b" : "#bfe8e0";
+      lines.forEach((line, i) => ctx.fillText(line, x + 8, y + 6 + i * 16));
+      const max = Math.max(1, ...net.arrivals.map(s => s.bytes));
+      const bw = (w - 16) / 60;
+      net.arrivals.forEach((s, i) => {
+        const prev = net.arrivals[i - 1];
+        const bh = Math.max(1, s.bytes / max * graphH);
+        ctx.fillStyle = prev && s.at - prev.at > CONFIG.SNAP_RATE_MS * 2 ? "#ff6b6b" : "#6bb8e7";
+        ctx.fillRect(x + 8 + i * bw, y + h - 8 - bh, Math.max(1, bw - 1), bh);
+      });
+      ctx.restore();
+    }
+
+    // Results screen: the ranking of the round that just ended
+    function drawResults() {
+      const results = roundInfo.results || [];
+      const def = modeDef();
+      const w = 320, h = 70 + Math.max(1, results.length) * 22;
+      const x = canvas.width / 2 - w / 2, y = canvas.height / 2 - h / 2;
+      ctx.fillStyle = "rgba(4, 30, 32, 0.9)";
+      ctx.fillRect(x, y, w, h);
+      ctx.fillStyle = "#ffd166";
+      ctx.font = "bold 18px sans-serif";
+      ctx.fillText(`🏆 ${def.label || round.mode} results`, canvas.width / 2, y + 30);
+      ctx.font = "14px sans-serif";
+      if (!results.length) {
+        ctx.fillStyle = "#ffffff";
+        ctx.fillText("Nobody scored this round", canvas.width / 2, y + 60);
+      }
+      results.forEach((r, i) => {
+        ctx.fillStyle = r.id === myId ? "#ffd166" : "#ffffff";
+        ctx.textAlign = "left";
+        ctx.fillText(`${i + 1}. ${r.name}`, x + 24, y + 60 + i * 22);
+        ctx.textAlign = "right";
+        ctx.fillText(`${r.score} ${def.unit || ""}`, x + w - 24, y + 60 + i * 22);
+      });
+      ctx.textAlign = "center";
     }
 
     function drawMinimap() {
@@ -407,22 +1589,68 @@
       miniCtx.fillRect(0, 0, minimapCanvas.width, minimapCanvas.height);
       const sx = minimapCanvas.width / CONFIG.WORLD_W;
       const sy = minimapCanvas.height / CONFIG.WORLD_H;
+      const ground = minimapGround();
+      if (ground) miniCtx.drawImage(ground, 0, 0);
       const snap = getLatestSnapshot();
+      // at night only what is near you shows up
+      const night = isNight();
+      const seen = e => !night || Math.hypot(e.x - local.x, e.y - local.y) < CONFIG.NIGHT_MINIMAP_RANGE;
+      if (night) {
+        miniCtx.fillStyle = "rgba(4, 8, 28, 0.55)";
+        miniCtx.fillRect(0, 0, minimapCanvas.width, minimapCanvas.height);
+      }
       for (const n of snap.nodes || []) {
+        if (!seen(n)) continue;
         miniCtx.fillStyle = n.type === "rock" ? "#aaaaaa" : "#4caf50";
         miniCtx.fillRect(n.x * sx, n.y * sy, 2, 2);
       }
+      const z = roundInfo.zone;
+      if (z) {
+        miniCtx.strokeStyle = zoneColor();
+        miniCtx.lineWidth = 1.5;
+        miniCtx.beginPath();
+        miniCtx.arc(z.x * sx, z.y * sy, Math.max(3, z.r * sx), 0, Math.PI * 2);
+        miniCtx.stroke();
+      }
       for (const b of snap.buildings || []) {
+        if (!seen(b)) continue;
         miniCtx.fillStyle = "#c78900";
         miniCtx.fillRect(b.x * sx, b.y * sy, 3, 3);
       }
+      for (const m of snap.mobs || []) {
+        if (!seen(m)) continue;
+        miniCtx.fillStyle = m.kind === "wolf" ? "#e76b6b" : "#f0e6d2";
+        miniCtx.fillRect(m.x * sx, m.y * sy, 2, 2);
+      }
       for (const id in (snap.players || {})) {
         const p = snap.players[id];
+        if (id !== myId && !seen(p)) continue;
         miniCtx.fillStyle = id === myId ? "#ffd166" : "#9ad3bc";
         miniCtx.fillRect(p.x * sx, p.y * sy, 3, 3);
       }
     }
 
+    // The terrain drawn once at minimap size, redrawn when the world or the minimap size changes
+    let groundCache = null;
+    function minimapGround() {
+      if (!terrain) return null;
+      const w = minimapCanvas.width, h = minimapCanvas.height;
+      if (groundCache && groundCache.terrain === terrain && groundCache.canvas.width === w && groundCache.canvas.height === h) return groundCache.canvas;
+      const off = document.createElement("canvas");
+      const octx = off.getContext && off.getContext("2d");
+      if (!octx) return null;
+      off.width = w; off.height = h;
+      const cw = terrain.cell * w / CONFIG.WORLD_W, ch = terrain.cell * h / CONFIG.WORLD_H;
+      for (let i = 0; i < terrain.cells.length; i++) {
+        const biome = terrain.biomes[terrain.cells[i]];
+        if (!biome) continue;
+        octx.fillStyle = biome.color;
+        octx.fillRect((i % terrain.cols) * cw, Math.floor(i / terrain.cols) * ch, cw + 0.5, ch + 0.5);
+      }
+      groundCache = { terrain, canvas: off };
+      return off;
+    }
+
     function inView(x, y) {
       return x > cam.x - CONFIG.VIEWPORT_PAD && x < cam.x + cam.w + CONFIG.VIEWPORT_PAD &&
         y > cam.y - CONFIG.VIEWPORT_PAD && y < cam.y + cam.h + CONFIG.VIEWPORT_PAD;
@@ -433,23 +1661,68 @@
       invWood && (invWood.textContent = local.inventory?.wood || 0);
       invStone && (invStone.textContent = local.inventory?.stone || 0);
       invFood && (invFood.textContent = local.inventory?.food || 0);
+      hungerFill && (hungerFill.style.width = clamp(local.hunger, 0, 100) + "%");
+      hungerText && (hungerText.textContent = Math.round(local.hunger));
+      renderItemsUI();
+      renderClanUI();
+      if (clockLabel) {
+        const minutes = Math.floor(timeOfDay() * 24 * 60);
+        const hhmm = `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+        const w = weatherDef();
+        clockLabel.textContent = `${isNight() ? "🌙" : "☀️"} Day ${clock.day} ${hhmm}${w.label ? ` · ${w.emoji} ${w.label}` : ""}`;
+      }
 
       if (!playersList) return;
       playersList.innerHTML = "";
-      const latestPlayers = (getLatestSnapshot().players) || {};
-      for (const id in latestPlayers) {
-        const p = latestPlayers[id];
+      // sorted by the chosen session stat (highest first), or in join order
+      const sortBy = playersSort && statDefs[playersSort.value] ? playersSort.value : "";
+      const value = p => (p.stats && p.stats[sortBy]) || 0;
+      const players = sortBy ? roster.slice().sort((a, b) => value(b) - value(a)) : roster;
+      for (const p of players) {
+        const el = document.createElement("div");
+        const clan = clanOf(p.id);
+        const stat = sortBy ? ` · ${statDefs[sortBy].label}: ${formatStat(sortBy, value(p))}` : "";
+        el.textContent = `${p.bot ? EMOJI.bot + " " : ""}${clan ? `[${clan.tag}] ` : ""}${p.name} ${p.id === myId ? "(you)" : ""}${p.away ? "(away)" : ""}${p.bot ? "(bot)" : ""} — HP:${p.hp} K:${p.kills} W:${p.wood || 0}${stat}`;
+        playersList.appendChild(el);
+      }
+      const mobLine = Object.keys(mobCounts).map(kind => `${(mobDefs[kind] || {}).emoji || kind} ${mobCounts[kind]}`).join("  ");
+      if (mobLine) {
         const el = document.createElement("div");
-        el.textContent = `${p.name} ${id === myId ? "(you)" : ""} — HP:${p.hp} K:${p.kills} W:${(p.inv && p.inv.wood) || 0}`;
+        el.className = "mobs";
+        el.textContent = mobLine;
         playersList.appendChild(el);
       }
     }
     setInterval(updateHUD, 300);
+    playersSort && playersSort.addEventListener("change", () => { updateHUD(); playersSort.blur(); });
 
-    function addChat(from, text) {
+    function renderSortOptions() {
+      if (!playersSort) return;
+      const current = playersSort.value;
+      playersSort.innerHTML = "";
+      const joined = document.createElement("option");
+      joined.value = "";
+      joined.textContent = "Sort: joined";
+      playersSort.appendChild(joined);
+      for (const key in statDefs) {
+        const opt = document.createElement("option");
+        opt.value = key;
+        opt.textContent = `Sort: ${statDefs[key].label.toLowerCase()}`;
+        playersSort.appendChild(opt);
+      }
+      playersSort.value = statDefs[current] ? current : "";
+    }
+
+    function formatStat(key, v) {
+      if (!statDefs[key] || !statDefs[key].seconds) return String(Math.round(v));
+      const m = Math.floor(v / 60);
+      return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m ${Math.round(v % 60)}s`;
+    }
+
+    function addChat(from, text, channel) {
       if (!chatLog) return;
       const div = document.createElement("div");
-      div.className = "msg";
+      div.className = "msg" + (channel ? " " + channel : "");
       div.innerHTML = `<strong>${sanitize(String(from))}:</strong> ${sanitize(String(text))}`;
       chatLog.appendChild(div);
       chatLog.scrollTop = chatLog.scrollHeight;
@@ -459,6 +1732,301 @@
     function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
     function sanitize(s) { return String(s).replace(/</g, "&lt;").replace(/>/g, "&gt;"); }
 
+    // ---- Replay: play back a server recording (RECORD=1) through the normal renderer ----
+    // Recordings are JSON lines: a header, world states (deltas, with keyframes to seek from) and events
+    // (chat, roster, clans, kills, ...). Playback rebuilds the world at the replay time into `snapshots`.
+    let replay = null;
+
+    function startReplay(text) {
+      const lines = text.split("\n").filter(l => l.trim()).map(l => JSON.parse(l));
+      const header = lines.find(l => l.type === "header") || {};
+      const states = lines.filter(l => l.type === "state");
+      if (!states.length || !states[0].key) throw new Error("No world states in this recording");
+      reconnectAllowed = false;
+      if (ws && ws.readyState <= 1) ws.close();
+      ws = null;
+      myId = null;
+      setConfig(header.config);
+      setCatalogs(header);
+      if (header.statTypes) {
+        statDefs = header.statTypes;
+        renderSortOptions();
+      }
+      setWorld(header.world);
+      if (header.clock) setClock(header.clock, lines[0].t);
+      setRound(header.round || { modes: {}, mode: "sandbox", phase: "open", zone: null, results: null });
+      replay = {
+        header, states,
+        events: lines.filter(l => l.type !== "state" && l.type !== "header"),
+        start: states[0].t, end: states[states.length - 1].t,
+        time: states[0].t, playing: true, speed: 1, follow: "",
+        stateIdx: -1, eventIdx: 0, players: {}, nodes: {}, buildings: {}, mobs: {}
+      };
+      document.body.classList.add("replaying");
+      if (lobbyEl) lobbyEl.hidden = true;
+      if (replayBar) replayBar.hidden = false;
+      if (replaySeek) replaySeek.max = String(replay.end - replay.start);
+      if (roomLabel) roomLabel.textContent = `Replay: ${header.room || "?"}`;
+      seekReplay(replay.start);
+      setStatus(`Replaying ${header.room || "recording"} (${formatReplayTime(replay.end - replay.start)})`);
+    }
+
+    // Only recordings served by this server: ?replay= can come from any link, and another file could be crafted
+    function openReplayUrl(url) {
+      let path = "";
+      try {
+        const u = new URL(url, location.href);
+        if (u.origin === location.origin && u.pathname.startsWith("/recordings/")) path = u.pathname;
+      } catch (e) { /* not a URL */ }
+      if (!path) {
+        setStatus("Could not load replay");
+        showLobby("Replays can only be opened from this server's recordings");
+        return;
+      }
+      setStatus("Loading replay...");
+      fetch(path).then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.text();
+      }).then(startReplay).catch(e => {
+        console.warn("[MooLite] replay failed", e);
+        setStatus("Could not load replay");
+        showLobby(`Could not load replay: ${e.message}`);
+      });
+    }
+
+    // Merge one recorded state line into the replay's entity maps
+    function applyReplayState(msg) {
+      if (msg.key) { replay.players = {}; replay.nodes = {}; replay.buildings = {}; replay.mobs = {}; }
+      if (msg.clock) setClock(msg.clock, msg.t);
+      if (msg.round) Object.assign(round, msg.round);
+      for (const g of ["players", "nodes", "buildings", "mobs"]) {
+        const map = replay[g];
+        for (const e of msg[g] || []) map[e.id] = Object.assign({}, map[e.id], e);
+        for (const id of (msg.removed && msg.removed[g]) || []) delete map[id];
+      }
+    }
+
+    const REPLAY_MESSAGE_TYPES = ["chat", "roster", "clans", "playerLeft", "round", "world"];
+    function applyReplayEvent(e) {
+      if (e.type === "kill") addChat("System", `${e.killerName} killed ${e.victimName}`);
+      else if (e.type === "destroyed") {
+        const owner = replay.players[e.owner] ? replay.players[e.owner].name : e.owner;
+        addChat("System", `${e.byName} destroyed ${owner}'s ${e.kind}`);
+      }
+      // the broadcasts a recording holds are shown as live; anything else (a welcome, say) is not replayed
+      else if (REPLAY_MESSAGE_TYPES.includes(e.type)) handleMessage(e);
+    }
+
+    // Move the replay to time t: forward from the current state, or from the last keyframe before t
+    function seekReplay(t) {
+      const r = replay;
+      t = clamp(t, r.start, r.end);
+      if (t < r.time || r.stateIdx < 0) {
+        let k = 0;
+        for (let i = 0; i < r.states.length && r.states[i].t <= t; i++) if (r.states[i].key) k = i;
+        r.stateIdx = k - 1;
+        r.eventIdx = 0;
+        roster = [];
+        mobCounts = {};
+        clans = [];
+        if (r.header.round) setRound(r.header.round);
+        if (chatLog) chatLog.innerHTML = "";
+      }
+      while (r.stateIdx + 1 < r.states.length && r.states[r.stateIdx + 1].t <= t) applyReplayState(r.states[++r.stateIdx]);
+      while (r.eventIdx < r.events.length && r.events[r.eventIdx].t <= t) applyReplayEvent(r.events[r.eventIdx++]);
+      r.time = t;
+      updateReplayFrame();
+    }
+
+    // Publish the replay world as the latest snapshot, with players and mobs interpolated towards the next state
+    function updateReplayFrame() {
+      const r = replay;
+      const cur = r.states[r.stateIdx], next = r.states[r.stateIdx + 1];
+      const alpha = cur && next ? clamp((r.time - cur.t) / (next.t - cur.t), 0, 1) : 0;
+      const lerpGroup = g => {
+        const nextById = {}, out = {};
+        for (const e of (next && next[g]) || []) nextById[e.id] = e;
+        for (const id in r[g]) {
+          const e = r[g][id], n = nextById[id];
+          out[id] = n ? Object.assign({}, e, {
+            x: n.x !== undefined ? e.x + (n.x - e.x) * alpha : e.x,
+            y: n.y !== undefined ? e.y + (n.y - e.y) * alpha : e.y
+          }) : e;
+        }
+        return out;
+      };
+      const players = lerpGroup("players");
+      worldState = { players, nodes: Object.values(r.nodes), buildings: Object.values(r.buildings), mobs: Object.values(lerpGroup("mobs")) };
+      snapshots = [{ t: Date.now(), players, nodes: worldState.nodes, buildings: worldState.buildings, mobs: worldState.mobs }];
+    }
+
+    function advanceReplay(dt) {
+      const r = replay;
+      if (r.playing) {
+        seekReplay(r.time + dt * 1000 * r.speed);
+        if (r.time >= r.end) setReplayPlaying(false);
+      }
+      // camera: follow the chosen player, or fly around with WASD
+      const followed = r.follow && snapshots[0].players[r.follow];
+      if (followed) {
+        local.x = followed.x; local.y = followed.y;
+      } else {
+        const speed = 600 * dt;
+        if (inputState.up) local.y -= speed;
+        if (inputState.down) local.y += speed;
+        if (inputState.left) local.x -= speed;
+        if (inputState.right) local.x += speed;
+        local.x = clamp(local.x, 0, CONFIG.WORLD_W);
+        local.y = clamp(local.y, 0, CONFIG.WORLD_H);
+      }
+      if (replaySeek && !replaySeek.matches(":active")) replaySeek.value = String(r.time - r.start);
+      if (replayTime) replayTime.textContent = `${formatReplayTime(r.time - r.start)} / ${formatReplayTime(r.end - r.start)}`;
+    }
+
+    function setReplayPlaying(playing) {
+      if (!replay) return;
+      // pressing play at the end starts over
+      if (playing && replay.time >= replay.end) seekReplay(replay.start);
+      replay.playing = playing;
+      if (replayPlayBtn) replayPlayBtn.textContent = playing ? "⏸" : "▶";
+    }
+    function toggleReplayPlay() { setReplayPlaying(!replay.playing); }
+
+    function formatReplayTime(ms) {
+      const secs = Math.floor(ms / 1000);
+      return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+    }
+
+    // Follow menu: the players in the replay world, rebuilt when they change
+    let followUiKey = "";
+    function renderFollowMenu() {
+      if (!replay || !replayFollow) return;
+      const players = Object.values(replay.players);
+      const key = players.map(p => p.id + p.name).join(",");
+      if (key === followUiKey) return;
+      followUiKey = key;
+      replayFollow.innerHTML = "";
+      const free = document.createElement("option");
+      free.value = "";
+      free.textContent = "Free camera (WASD)";
+      replayFollow.appendChild(free);
+      for (const p of players) {
+        const opt = document.createElement("option");
+        opt.value = p.id;
+        opt.textContent = `Follow ${p.name}`;
+        replayFollow.appendChild(opt);
+      }
+      replayFollow.value = replay.players[replay.follow] ? replay.follow : "";
+    }
+    setInterval(renderFollowMenu, 500);
+
+    replayPlayBtn && replayPlayBtn.addEventListener("click", toggleReplayPlay);
+    replaySpeed && replaySpeed.addEventListener("change", () => { if (replay) replay.speed = Number(replaySpeed.value) || 1; });
+    replaySeek && replaySeek.addEventListener("input", () => { if (replay) seekReplay(replay.start + Number(replaySeek.value)); });
+    replayFollow && replayFollow.addEventListener("change", () => { if (replay) replay.follow = replayFollow.value; replayFollow.blur(); });
+    replayExit && replayExit.addEventListener("click", () => { location.href = location.pathname; });
+    replayFileInput && replayFileInput.addEventListener("change", () => {
+      const file = replayFileInput.files && replayFileInput.files[0];
+      if (!file) return;
+      file.text().then(startReplay).catch(e => {
+        console.warn("[MooLite] replay file failed", e);
+        if (lobbyError) lobbyError.textContent = `Could not read recording: ${e.message}`;
+      });
+    });
+
+    function refreshRecordingList() {
+      if (!recordingListEl) return;
+      fetch("/recordings").then(r => r.json()).then(data => {
+        recordingListEl.innerHTML = "";
+        for (const rec of data.recordings || []) {
+          const btn = document.createElement("button");
+          btn.textContent = `${rec.file} (${Math.ceil(rec.size / 1024)} KB)`;
+          btn.addEventListener("click", () => {
+            const url = `/recordings/${encodeURIComponent(rec.file)}`;
+            history.replaceState(null, "", `?replay=${encodeURIComponent(url)}`);
+            openReplayUrl(url);
+          });
+          recordingListEl.appendChild(btn);
+        }
+        if (!recordingListEl.children.length) recordingListEl.textContent = "No recordings (start the server with RECORD=1).";
+      }).catch(() => { recordingListEl.textContent = "Could not load recordings."; });
+    }
+
+    // ---- Lobby: pick or create a room before joining ----
+    function showLobby(error) {
+      if (!lobbyEl) return;
+      lobbyEl.hidden = false;
+      if (lobbyError) lobbyError.textContent = error || "";
+      if (roomInput) roomInput.value = currentRoom || "";
+      refreshRoomList();
+      refreshRecordingList();
+    }
+
+    function refreshRoomList() {
+      if (!roomListEl) return;
+      roomListEl.textContent = "Loading rooms...";
+      fetch("/rooms").then(r => r.json()).then(data => {
+        roomListEl.innerHTML = "";
+        const modes = data.modes || {};
+        renderModeOptions(modes);
+        for (const room of data.rooms || []) {
+          const btn = document.createElement("button");
+          const mode = modes[room.mode];
+          btn.textContent = `${mode ? `${mode.emoji} ` : ""}${room.name}${mode && room.mode !== "sandbox" ? ` (${mode.label})` : ""} — ${room.players} player${room.players === 1 ? "" : "s"}${room.bots ? ` + ${room.bots} bot${room.bots === 1 ? "" : "s"}` : ""}`;
+          btn.addEventListener("click", () => enterRoom(room.name));
+          roomListEl.appendChild(btn);
+        }
+        if (!roomListEl.children.length) roomListEl.textContent = "No rooms yet — create one below.";
+      }).catch(e => {
+        console.warn("[MooLite] room list failed", e);
+        roomListEl.textContent = "Could not load rooms.";
+      });
+    }
+
+    function renderModeOptions(modes) {
+      if (!roomModeSel || roomModeSel.options.length) return;
+      for (const key in modes) {
+        const opt = document.createElement("option");
+        opt.value = key;
+        opt.textContent = `${modes[key].emoji} ${modes[key].label}`;
+        opt.title = modes[key].description;
+        roomModeSel.appendChild(opt);
+      }
+    }
+
+    function enterRoom(name, mode) {
+      name = String(name || "").trim().toLowerCase();
+      if (!ROOM_NAME_RE.test(name)) {
+        if (lobbyError) lobbyError.textContent = "Room names use a-z, 0-9, - and _ (up to 24 characters).";
+        return;
+      }
+      if (name !== currentRoom) {
+        // a resume token only identifies a player in the room it was issued for
+        resumeToken = "";
+        sessionStorage.removeItem("moolite_resume");
+      }
+      currentRoom = name;
+      newRoomMode = mode || "";
+      history.replaceState(null, "", `?room=${encodeURIComponent(name)}`);
+      if (lobbyEl) lobbyEl.hidden = true;
+      reconnectAllowed = true;
+      if (ws && ws.readyState <= 1) ws.close();
+      ws = null;
+      connect();
+    }
+
+    function leaveRoom() {
+      reconnectAllowed = false;
+      if (ws && ws.readyState <= 1) ws.close();
+      showLobby();
+    }
+
+    roomForm && roomForm.addEventListener("submit", e => {
+      e.preventDefault();
+      enterRoom(roomInput && roomInput.value, roomModeSel && roomModeSel.value);
+    });
+    roomsBtn && roomsBtn.addEventListener("click", leaveRoom);
+
     // ---- Connection status UI ----
     function createStatusElement() {
       // small floating status near top-left to help debugging
@@ -483,20 +2051,20 @@
 
     // ---- start ----
     setStatus("Starting");
-    connect();
+    const replayUrl = new URLSearchParams(location.search).get("replay");
+    if (replayUrl) openReplayUrl(replayUrl);
+    else if (currentRoom) connect();
+    else showLobby();
 
-    // keepalive / reconnect if ws dies (also attempts recon in close handler)
+    // reconnect if ws dies (also attempts recon in close handler)
     setInterval(() => {
-      if (!ws || ws.readyState > 1) {
-        if (!ws || ws.readyState === WebSocket.CLOSED) {
-          setStatus("Reconnecting...");
-          connect();
-        }
-      } else {
-        // send ping to keep connection alive
-        try { ws.send(JSON.stringify({ type: "ping" })); } catch (e) { /* ignore */ }
+      if (reconnectAllowed && (!ws || ws.readyState === WebSocket.CLOSED)) {
+        setStatus("Reconnecting...");
+        connect();
       }
     }, 5000);
+    // pings keep the connection alive and the latency and clock offset up to date
+    setInterval(sendPing, CONFIG.PING_MS);
 
     // End init()
     console.log("[MooLite] client initialized");
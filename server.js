@@ -10,6 +10,14 @@
  * Usage:
  *  npm install express ws
  *  node server.js
+ *  ADMIN_TOKEN=<secret> node server.js   (enables /login, admin slash commands and the /admin HTTP API)
+ *  BOTS=3 COWS=20 WOLVES=6 node server.js   (bot players, cows and wolves per room)
+ *  WORLD_SEED=1234 WORLD_W=4000 WORLD_H=3000 RESOURCE_DENSITY=150 node server.js   (world generation)
+ *  DAY_LENGTH=300 node server.js   (length of a day/night cycle in seconds)
+ *  MODE=gather ROUND_LENGTH=180 ROOMS=main,arena:koth node server.js   (game modes and round length)
+ *  node server.js --help   (every setting with its flag, variable, default and allowed values)
+ *  node server.js --config my.config.json --player-speed 250   (settings file and flags, see Configuration;
+ *                                                               kill -HUP <pid> reloads the live ones)
  *
  * If other devices cannot connect, check firewall or router isolation settings.
  */
@@ -19,9 +27,215 @@ const http = require("http");
 const WebSocket = require("ws");
 const os = require("os");
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const net = require("net");
+const { performance } = require("perf_hooks");
+
+// ----- Configuration -----
+// Gameplay settings come from, lowest priority first: the defaults below, a JSON config file, environment
+// variables and command-line flags. The file is --config <file>, CONFIG_FILE, or moolite.config.json next to
+// server.js when it exists; it holds settings by key ({"playerSpeed": 250}) plus optional catalog overrides
+// (see catalogErrors). Each setting's variable doubles as a flag: PLAYER_SPEED=250 or --player-speed 250.
+// Everything is checked at startup and the server refuses to start on a bad value. Settings marked live (and
+// the catalog overrides) are re-read with /reload, POST /admin/reload or kill -HUP <pid>; the rest need a restart.
+// node server.js --help lists them all.
+//  min/max: allowed range (for strings: max length)   int: whole numbers only   live: reloadable
+//  type: "string" for text settings (numbers otherwise)   check: value -> problem or null, run once the whole file is loaded
+const SETTINGS = {
+  port:            {env:"PORT", dflt:3000, min:1, max:65535, int:true},
+  worldW:          {env:"WORLD_W", dflt:3000, min:1000, max:12000, int:true}, // px
+  worldH:          {env:"WORLD_H", dflt:2000, min:1000, max:12000, int:true},
+  tickRate:        {env:"TICK_RATE", dflt:30, min:10, max:60, int:true}, // Hz, fixed simulation step
+  snapshotRate:    {env:"SNAPSHOT_RATE", dflt:20, min:5, max:60, int:true}, // Hz
+  playerSpeed:     {env:"PLAYER_SPEED", dflt:220, min:50, max:1000, live:true}, // px/s
+  actionRange:     {env:"ACTION_RANGE", dflt:80, min:20, max:400, live:true}, // px, building reach
+  resourceDensity: {env:"RESOURCE_DENSITY", dflt:100, min:10, max:400, live:true}, // % of the default node count, for new worlds
+  cows:            {env:"COWS", dflt:12, min:0, max:200, int:true}, // per room
+  wolves:          {env:"WOLVES", dflt:4, min:0, max:200, int:true},
+  bots:            {env:"BOTS", dflt:0, min:0, max:8, int:true},
+  nodeRespawn:     {env:"NODE_RESPAWN", dflt:30, min:1, max:3600, live:true}, // s until a depleted resource grows back
+  mobRespawn:      {env:"MOB_RESPAWN", dflt:20, min:1, max:3600, live:true}, // s until a killed mob is replaced
+  spawnProtection: {env:"SPAWN_PROTECTION", dflt:2, min:0, max:30, live:true}, // s of invulnerability after respawning
+  deathDrop:       {env:"DEATH_DROP", dflt:50, min:0, max:100, live:true}, // % of each resource lost on death (half goes to the killer)
+  refund:          {env:"REFUND", dflt:50, min:0, max:100, live:true}, // % of the cost returned when a building is destroyed
+  hungerDrain:     {env:"HUNGER_DRAIN", dflt:0.5, min:0, max:10, live:true}, // hunger lost per s (100 = full)
+  eatCost:         {env:"EAT_COST", dflt:2, min:0, max:100, int:true, live:true}, // food spent per eat
+  eatHunger:       {env:"EAT_HUNGER", dflt:30, min:0, max:100, live:true}, // hunger restored per eat
+  eatHeal:         {env:"EAT_HEAL", dflt:10, min:0, max:100, live:true}, // hp restored per eat
+  regen:           {env:"REGEN", dflt:1, min:0, max:100, live:true}, // hp per s while fed
+  starveDamage:    {env:"STARVE_DAMAGE", dflt:2, min:0, max:100, live:true}, // hp per s at 0 hunger
+  dayLength:       {env:"DAY_LENGTH", dflt:600, min:60, max:24*3600}, // s per day/night cycle
+  roundLength:     {env:"ROUND_LENGTH", dflt:0, min:0, max:3600, live:true}, // s per round in every mode, 0 = the mode's own
+  resumeGraceMs:   {env:"RESUME_GRACE_MS", dflt:30_000, min:0, max:3_600_000, int:true, live:true}, // ms a dropped player's body waits for a reconnect
+  worldSeed:       {env:"WORLD_SEED", dflt:"", type:"string", max:32, live:true}, // seed of every new world, "" = a random one per room
+  mode:            {env:"MODE", dflt:"sandbox", type:"string", max:32, check: v => hasOwn(GAME_MODES, v) ? null : `is not a game mode (${Object.keys(GAME_MODES).join(", ")})`}, // of new rooms
+  rooms:           {env:"ROOMS", dflt:"", type:"string", max:400, check: startupRoomsError}, // opened at startup: main,arena:koth ("" = main)
+  record:          {env:"RECORD", dflt:"", type:"string", max:400, check: recordError} // rooms to record: 1 for all, or main,arena
+};
+// config file sections overriding catalog entries: BUILDINGS, ITEMS and MOBS (see catalogErrors)
+const CATALOG_SECTIONS = ["buildings", "items", "mobs"];
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "moolite.config.json");
+if(process.argv.includes("--help") || process.argv.includes("-h")){
+  console.log(settingsHelp());
+  process.exit(0);
+}
+const CLI = parseFlags(process.argv.slice(2));
+const CONFIG_FILE = CLI.flags.config || process.env.CONFIG_FILE || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : "");
+const startupConfig = readConfig();
+const CONFIG = startupConfig.values;
+
+// --name value / --name=value pairs; every flag needs a value
+function parseFlags(argv){
+  const flags = {}, errors = [];
+  for(let i=0; i<argv.length; i++){
+    const m = /^--([a-z][a-z0-9-]*)(?:=(.*))?$/.exec(argv[i]);
+    if(!m){ errors.push(`Unexpected argument "${argv[i]}"`); continue; }
+    const value = m[2] !== undefined ? m[2] : argv[++i];
+    if(value === undefined) errors.push(`--${m[1]} needs a value`);
+    else flags[m[1]] = value;
+  }
+  return {flags, errors};
+}
+
+// Every flag with its variable, file key, default and allowed values
+function settingsHelp(){
+  const lines = ["Usage: node server.js [--config <file>] [--<setting> <value> ...]", "",
+    "Settings (flag, variable, config file key: default, allowed values; * can be reloaded without a restart):"];
+  for(const key in SETTINGS){
+    const s = SETTINGS[key];
+    const flag = "--" + s.env.toLowerCase().replace(/_/g, "-");
+    const allowed = s.type === "string" ? `text, up to ${s.max} characters` : `${s.min}..${s.max}${s.int ? ", whole numbers" : ""}`;
+    lines.push(`  ${flag.padEnd(20)} ${s.env.padEnd(18)} ${key.padEnd(16)} ${JSON.stringify(s.dflt)}, ${allowed}${s.live ? " *" : ""}`);
+  }
+  return lines.join("\n");
+}
+
+// Settings from the defaults, file, environment and flags, validated; errors lists everything that's wrong.
+// file is the parsed config file, for its catalog overrides; sources says where each value came from.
+function readConfig(){
+  const errors = [...CLI.errors];
+  let file = {};
+  if(CONFIG_FILE){
+    try {
+      file = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+      if(!file || typeof file !== "object" || Array.isArray(file)) throw new Error("not a JSON object");
+    } catch (e){
+      errors.push(`${CONFIG_FILE}: ${e.message}`);
+      file = {};
+    }
+  }
+  const flagNames = {config: true};
+  const values = {}, sources = {};
+  for(const key in SETTINGS){
+    const s = SETTINGS[key];
+    const flag = s.env.toLowerCase().replace(/_/g, "-");
+    flagNames[flag] = true;
+    let raw = s.dflt, from = "default";
+    if(hasOwn(file, key)){ raw = file[key]; from = `"${key}" in ${path.basename(CONFIG_FILE)}`; }
+    if(process.env[s.env] !== undefined){ raw = process.env[s.env]; from = s.env; }
+    if(hasOwn(CLI.flags, flag)){ raw = CLI.flags[flag]; from = `--${flag}`; }
+    sources[key] = from;
+    if(s.type === "string"){
+      const v = typeof raw === "string" || typeof raw === "number" ? String(raw).trim() : null;
+      if(v === null) errors.push(`${from}: must be text`);
+      else if(v.length > s.max) errors.push(`${from}: "${v}" is longer than ${s.max} characters`);
+      values[key] = v === null ? s.dflt : v.slice(0, s.max);
+      continue;
+    }
+    const n = typeof raw === "number" || (typeof raw === "string" && raw.trim()) ? Number(raw) : NaN;
+    if(!Number.isFinite(n)) errors.push(`${from}: "${raw}" is not a number`);
+    else if(s.int && !Number.isInteger(n)) errors.push(`${from}: ${n} is not a whole number`);
+    else if(n < s.min || n > s.max) errors.push(`${from}: ${n} is outside ${s.min}..${s.max}`);
+    values[key] = Number.isFinite(n) ? n : s.dflt;
+  }
+  for(const key in file) if(!hasOwn(SETTINGS, key) && !CATALOG_SECTIONS.includes(key)) errors.push(`${path.basename(CONFIG_FILE)}: unknown setting "${key}"`);
+  for(const flag in CLI.flags) if(!flagNames[flag]) errors.push(`Unknown flag --${flag}`);
+  return {values, sources, file, errors};
+}
+
+// The settings' own checks (game modes, room names, ...), which need the rest of the file loaded first
+function settingChecks(config){
+  const errors = [];
+  for(const key in SETTINGS){
+    const problem = SETTINGS[key].check && SETTINGS[key].check(config.values[key]);
+    if(problem) errors.push(`${config.sources[key]}: "${config.values[key]}" ${problem}`);
+  }
+  return errors;
+}
+
+// Catalog overrides in the config file change numbers (hp, damage, range, cooldownMs, ...) and resource maps
+// (cost, recipe, drops, ...) that an entry already has, e.g. {"items": {"sword": {"damage": 40, "recipe": {"stone": 20}}}}
+function catalogErrors(file){
+  const errors = [];
+  const name = path.basename(CONFIG_FILE);
+  for(const section in CONFIG_CATALOGS){
+    if(!hasOwn(file, section)) continue;
+    const overrides = file[section];
+    if(!overrides || typeof overrides !== "object" || Array.isArray(overrides)){ errors.push(`${name}: "${section}" must be an object`); continue; }
+    for(const kind in overrides){
+      const base = CATALOG_DEFAULTS[section][kind];
+      if(!base){ errors.push(`${name}: unknown ${section} entry "${kind}"`); continue; }
+      const entry = overrides[kind] || {};
+      for(const field in entry){
+        const where = `${name}: ${section}.${kind}.${field}`;
+        const v = entry[field], dflt = base[field];
+        if(typeof dflt === "number"){
+          if(typeof v !== "number" || !Number.isFinite(v) || v < 0) errors.push(`${where} must be a number of at least 0`);
+        } else if(dflt && typeof dflt === "object"){
+          if(!v || typeof v !== "object" || Array.isArray(v) || Object.values(v).some(n => typeof n !== "number" || !Number.isFinite(n) || n < 0)){
+            errors.push(`${where} must be an object of numbers`);
+          }
+        } else {
+          errors.push(`${where} can't be changed from the config file`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// Catalogs back to their defaults, then the file's overrides on top (in place: clients get them in welcome and config messages)
+function applyCatalogs(file){
+  for(const section in CONFIG_CATALOGS){
+    const catalog = CONFIG_CATALOGS[section], overrides = file[section] || {};
+    for(const kind in catalog){
+      Object.assign(catalog[kind], JSON.parse(JSON.stringify(CATALOG_DEFAULTS[section][kind])), overrides[kind] || {});
+    }
+  }
+}
+
+// Re-reads the config file (and environment/flags): live settings and catalogs change at once and every room
+// gets the new client config; other changed settings are reported as needing a restart. Nothing changes on errors.
+function reloadConfig(){
+  const next = readConfig();
+  const errors = [...next.errors, ...catalogErrors(next.file), ...settingChecks(next)];
+  if(errors.length) return {errors};
+  const changed = [], restart = [];
+  for(const key in SETTINGS){
+    if(next.values[key] === CONFIG[key]) continue;
+    if(SETTINGS[key].live){ CONFIG[key] = next.values[key]; changed.push(key); }
+    else restart.push(key);
+  }
+  const before = JSON.stringify(CONFIG_CATALOGS);
+  applyCatalogs(next.file);
+  if(JSON.stringify(CONFIG_CATALOGS) !== before) changed.push("catalogs");
+  interpDelayMs = interpDelayFor(CONFIG.snapshotRate);
+  for(const room of rooms.values()) broadcast(room, configMessage());
+  return {changed, restart, errors: []};
+}
+
+// What clients need for prediction and rendering, in welcome, recording headers and config messages
+function clientConfig(){
+  return {worldW: WORLD.W, worldH: WORLD.H, tickRate: TICK_RATE, snapshotRate: SNAPSHOT_RATE, playerSpeed: CONFIG.playerSpeed,
+    actionRange: CONFIG.actionRange, playerRadius: PLAYER_RADIUS, nodeRadius: NODE_RADIUS, interpDelayMs};
+}
+function configMessage(){
+  return {type:"config", config: clientConfig(), buildings: BUILDINGS, items: ITEMS, mobTypes: MOBS};
+}
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = CONFIG.port;
 
 // serve static files from current directory (index.html, styles.css, script.js, README.md)
 app.use(express.static(path.join(__dirname)));
@@ -29,207 +243,2685 @@ app.use(express.static(path.join(__dirname)));
 // create HTTP server and bind to 0.0.0.0 to accept LAN connections
 const server = http.createServer(app);
 
-// WebSocket server on path /ws
-const wss = new WebSocket.Server({ server, path: "/ws" });
+// WebSocket server on path /ws; ws closes connections that send a larger frame (code 1009)
+const MAX_MESSAGE_BYTES = 4096;
+const wss = new WebSocket.Server({ server, path: "/ws", maxPayload: MAX_MESSAGE_BYTES });
 
 // ----- Simple authoritative world (kept intentionally small) -----
-const WORLD = { W: 3000, H: 2000 };
-const SNAPSHOT_RATE = 20; // Hz
-const PLAYER_SPEED = 220;
-const ACTION_RANGE = 80;
+// World size in px (see Configuration); terrain and resources come from the room's seed (see World generation)
+const WORLD = { W: CONFIG.worldW, H: CONFIG.worldH };
+const SNAPSHOT_RATE = CONFIG.snapshotRate; // Hz
+const TICK_RATE = CONFIG.tickRate; // Hz, fixed simulation step
+const TICK_DT = 1 / TICK_RATE; // seconds per simulation step
+const MAX_INPUTS_PER_TICK = 3; // lets a client catch up after a burst without teleporting
+const MAX_INPUT_QUEUE = 30; // oldest inputs are dropped past this
+const AOI_HALF_W = 1000; // area-of-interest half extents around each player (covers a large viewport)
+const AOI_HALF_H = 700;
+const KEYFRAME_EVERY = 40; // snapshots between forced full keyframes (2s at 20Hz)
+const SNAP_HISTORY = 32; // sent snapshots remembered per client as delta baselines
+const ROSTER_RATE = 1; // Hz, scoreboard summary of every player regardless of AOI
+// Movement budget: players earn distance at their walking speed*SPEED_TOLERANCE and can bank up to MOVE_BURST_S
+// seconds of walking, so catching up after a lag spike works but sustained faster-than-walking movement does not
+const SPEED_TOLERANCE = 1.1;
+const MOVE_BURST_S = 0.5;
+
+// Collision shapes (sent to clients with the config, see clientConfig): players and resource nodes are circles,
+// buildings are axis-aligned squares given by their catalog half size.
+const PLAYER_RADIUS = 16;
+const NODE_RADIUS = {tree: 22, rock: 20, berry: 12, wood: 14};
+const HASH_CELL = 128; // spatial hash cell size, larger than any collider
+
+// Building catalog, sent to clients in welcome (build menu, rendering and predicted collision).
+//  cost: resources spent on placement       hp: hit points      half: half size of the square footprint
+//  solid: blocks movement                   ownerPasses: solid for everyone except the owner's clan (doors)
+//  touchDamage/touchEveryMs: damage to non-allies in contact    produce/produceEveryMs: income for the owner
+//  healPerSec/healRadius: heals players standing nearby         respawn: the owner's clan respawns here
+//  light: radius lit around it at night (client rendering)
+const BUILDINGS = {
+  wall:     {label:"Wall", emoji:"🧱", cost:{wood:5}, hp:200, half:20, solid:true},
+  camp:     {label:"Camp", emoji:"🏠", cost:{wood:10, stone:5}, hp:300, half:22, solid:true, respawn:true, light:150},
+  spikes:   {label:"Spikes", emoji:"🌵", cost:{wood:10, stone:5}, hp:150, half:18, solid:true, touchDamage:8, touchEveryMs:500},
+  windmill: {label:"Windmill", emoji:"🎡", cost:{wood:20, stone:10}, hp:250, half:24, solid:true, produce:{wood:1, food:1}, produceEveryMs:5000},
+  door:     {label:"Door", emoji:"🚪", cost:{wood:8}, hp:150, half:20, solid:true, ownerPasses:true},
+  campfire: {label:"Campfire", emoji:"🔥", cost:{wood:8, stone:2}, hp:100, half:14, solid:false, healPerSec:3, healRadius:90, light:230}
+};
+
+// Resources granted when a node is depleted, before the equipped item's yield multiplier
+const NODE_REWARDS = {tree:{wood:5}, rock:{stone:3}, berry:{food:4}, wood:{wood:8}};
+
+// Item catalog, sent to clients in welcome (hotbar and crafting menu).
+//  recipe: resources spent to craft (absent for starting items)   damage: per hit on players
+//  buildingDamage: per hit on enemy buildings   harvest: per hit on resource nodes
+//  yield: reward multiplier by node type        range: reach from the wielder   cooldownMs: between swings
+//  knockback: distance a hit player is pushed away from the wielder
+const ITEMS = {
+  hand:    {label:"Hands", emoji:"✊", damage:20, buildingDamage:15, harvest:15, yield:{}, range:80, cooldownMs:350, knockback:12},
+  axe:     {label:"Axe", emoji:"🪓", recipe:{wood:10}, damage:25, buildingDamage:20, harvest:25, yield:{tree:2, wood:2}, range:85, cooldownMs:400, knockback:18},
+  pickaxe: {label:"Pickaxe", emoji:"⛏️", recipe:{wood:10, stone:5}, damage:22, buildingDamage:25, harvest:25, yield:{rock:2}, range:85, cooldownMs:400, knockback:18},
+  sword:   {label:"Sword", emoji:"⚔️", recipe:{wood:10, stone:15}, damage:35, buildingDamage:15, harvest:10, yield:{}, range:95, cooldownMs:450, knockback:24},
+  spear:   {label:"Spear", emoji:"🔱", recipe:{wood:15, stone:5, food:5}, damage:28, buildingDamage:10, harvest:8, yield:{}, range:130, cooldownMs:600, knockback:36},
+  hammer:  {label:"Hammer", emoji:"🔨", recipe:{wood:15, stone:10}, damage:18, buildingDamage:45, harvest:12, yield:{}, range:85, cooldownMs:550, knockback:30}
+};
+
+// Mob catalog, sent to clients in welcome (rendering and predicted collision).
+//  speed: px/s when running (wandering is slower)   radius: collision circle   drops: resources for the killer
+//  fleeRadius: runs from players this close          aggroRadius: chases players this close
+//  damage/attackRange/attackEveryMs: bites players in reach
+const MOBS = {
+  cow:  {label:"Cow", emoji:"🐄", hp:60, speed:120, radius:18, drops:{food:6}, fleeRadius:160},
+  wolf: {label:"Wolf", emoji:"🐺", hp:80, speed:180, radius:16, drops:{food:3}, aggroRadius:300, damage:10, attackRange:8, attackEveryMs:900}
+};
+// Mobs per room by kind and bot players per room (see Configuration)
+const MOB_COUNTS = {cow: CONFIG.cows, wolf: CONFIG.wolves};
+const BOT_COUNT = CONFIG.bots;
+const MOB_SPAWN_CLEARANCE = 300; // mobs don't (re)spawn closer than this to a player
+
+// Combat
+const HIT_TOLERANCE = 40; // how close a click must land to a player to count as aimed at them
+const POSITION_HISTORY_MS = 1000; // how far back player positions are kept for lag compensation
+const MAX_REWIND_MS = 300; // cap on how far hit detection rewinds for a laggy attacker's latency (on top of interpDelayMs)
+// How far behind the (synced) server clock clients render remote players: two snapshot intervals, so the next
+// snapshot is normally there before the render time reaches it, and at least 100 ms. Recomputed on config reload.
+function interpDelayFor(snapshotRate){ return Math.max(100, Math.round(2*1000/snapshotRate)); }
+let interpDelayMs = interpDelayFor(CONFIG.snapshotRate);
+
+// Hunger (100 = full): drains over time, refilled by eating food (rates and amounts in Configuration)
+const FED_THRESHOLD = 50; // hp regenerates while hunger is above this
+
+// World clock: every room runs a day/night cycle of dayLength seconds (see Configuration, default 10 minutes).
+// Time of day is 0..1 (0 midnight, 0.25 sunrise, 0.5 noon, 0.75 sunset); rooms open in the morning.
+const DAY_LENGTH_MS = CONFIG.dayLength * 1000;
+const NIGHT_WOLF_FACTOR = 2; // wolves per room are multiplied by this at night (the extras leave at sunrise)
+const PLAYER_LIGHT = 110; // radius lit around every player at night (client rendering)
+// Weather, sent to clients in welcome. One kind at a time for WEATHER_MIN_MS..WEATHER_MAX_MS, then a new roll:
+//  chance: weight of the roll   speed: walking speed multiplier   hunger: hunger drain multiplier
+const WEATHER = {
+  clear: {label:"Clear", emoji:"☀️", chance:6},
+  rain:  {label:"Rain", emoji:"🌧️", chance:2.5, speed:0.75},
+  snow:  {label:"Snow", emoji:"❄️", chance:1.5, hunger:2}
+};
+const WEATHER_MIN_MS = 60_000, WEATHER_MAX_MS = 180_000;
+
+// Catalogs the config file can override (see Configuration), and their built-in values to go back to on reload.
+// Settings and overrides are checked together: on any error the server lists them all and doesn't start
+// (after the settings' own checks, just before the rooms open).
+const CONFIG_CATALOGS = {buildings: BUILDINGS, items: ITEMS, mobs: MOBS};
+const CATALOG_DEFAULTS = JSON.parse(JSON.stringify(CONFIG_CATALOGS));
+const configErrors = [...startupConfig.errors, ...catalogErrors(startupConfig.file)];
+if(!configErrors.length) applyCatalogs(startupConfig.file);
 
 let nextPlayerId = 1;
-let state = {
-  players: {},
-  nodes: [],
-  buildings: []
+
+// ----- World generation -----
+// A room's world is generated from its seed: the worldSeed setting, or a random one per room (kept in the save, and
+// shown in welcome and /rooms so a good map can be shared). The same seed and world size always give the
+// same terrain and resources. Terrain is a grid of TERRAIN_CELL cells, one biome each, from two smooth
+// noise fields (elevation, moisture) plus a river with a couple of fords or a lake; resources are placed
+// in clusters whose kind depends on the biome.
+const TERRAIN_CELL = 100;
+// Resource nodes per px² at resourceDensity 100 (80 on the default 3000x2000 map); scales with the world
+const NODES_PER_PX = 80 / (3000*2000);
+// Biomes by terrain code, sent to clients with the world:
+//  color: ground colour   clusters: relative share of resource clusters placed there
+//  nodes: resource mix of its clusters (weights)   solid: can't be walked, built or spawned on
+const BIOMES = {
+  g: {label:"Grassland", color:"#0b302b", clusters:0.6, nodes:{tree:2, rock:1, berry:1, wood:1}},
+  f: {label:"Forest", color:"#082719", clusters:2, nodes:{tree:6, wood:3, berry:1}},
+  r: {label:"Rocky highlands", color:"#2b312e", clusters:1.5, nodes:{rock:6, tree:1}},
+  m: {label:"Berry meadow", color:"#1d3b1f", clusters:1.5, nodes:{berry:5, tree:1, wood:1}},
+  s: {label:"Shallows", color:"#2d5560", clusters:0, nodes:{}},
+  w: {label:"Water", color:"#123c5c", clusters:0, nodes:{}, solid:true}
 };
 
-// small set of resource types
-const RES_NODE_TYPES = ["tree","rock","berry","wood"];
+// Deterministic PRNG (mulberry32) seeded by a hash of the seed string
+function seededRandom(seed){
+  let h = 1779033703 ^ seed.length;
+  for(let i=0; i<seed.length; i++){
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = h << 13 | h >>> 19;
+  }
+  let a = h >>> 0;
+  return () => {
+    a = a + 0x6D2B79F5 | 0;
+    let t = Math.imul(a ^ a >>> 15, 1 | a);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// Smooth value noise in [0,1] over cell coordinates: random values on a lattice every `scale` cells, blended
+function noiseField(rand, cols, rows, scale){
+  const lw = Math.ceil(cols/scale) + 2, lh = Math.ceil(rows/scale) + 2;
+  const lattice = Array.from({length: lw*lh}, rand);
+  const at = (x, y) => lattice[y*lw + x];
+  const smooth = t => t*t*(3 - 2*t);
+  return (cx, cy) => {
+    const fx = cx/scale, fy = cy/scale, ix = Math.floor(fx), iy = Math.floor(fy);
+    const sx = smooth(fx - ix), sy = smooth(fy - iy);
+    const top = at(ix, iy)*(1-sx) + at(ix+1, iy)*sx;
+    const bottom = at(ix, iy+1)*(1-sx) + at(ix+1, iy+1)*sx;
+    return top*(1-sy) + bottom*sy;
+  };
+}
+
+function randomSeed(){
+  return String(crypto.randomInt(1, 1_000_000_000));
+}
+
+// Terrain for a seed: {seed, cell, cols, rows, cells} where cells holds one BIOMES code per cell, row by row
+function generateTerrain(seed){
+  const rand = seededRandom(seed);
+  const cols = Math.ceil(WORLD.W/TERRAIN_CELL), rows = Math.ceil(WORLD.H/TERRAIN_CELL);
+  const elevation = [noiseField(rand, cols, rows, 9), noiseField(rand, cols, rows, 3)];
+  const moisture = [noiseField(rand, cols, rows, 8), noiseField(rand, cols, rows, 3)];
+  const cells = [];
+  for(let cy=0; cy<rows; cy++){
+    for(let cx=0; cx<cols; cx++){
+      const e = elevation[0](cx, cy)*0.7 + elevation[1](cx, cy)*0.3;
+      const m = moisture[0](cx, cy)*0.7 + moisture[1](cx, cy)*0.3;
+      cells.push(e > 0.6 ? "r" : m > 0.56 ? "f" : m < 0.42 ? "m" : "g");
+    }
+  }
+  if(rand() < 0.6) carveRiver(cells, cols, rows, rand);
+  else carveLake(cells, cols, rows, rand);
+  return {seed, cell: TERRAIN_CELL, cols, rows, cells: cells.join("")};
+}
+
+// A meandering river from one edge to the opposite one (across the shorter side), two or three cells wide,
+// with fords of shallows so both banks stay reachable
+function carveRiver(cells, cols, rows, rand){
+  const vertical = cols >= rows; // flows top to bottom across a wide map
+  const length = vertical ? rows : cols, span = vertical ? cols : rows;
+  const set = (along, across, code) => {
+    if(across < 0 || across >= span) return;
+    cells[vertical ? along*cols + across : across*cols + along] = code;
+  };
+  const fords = [Math.floor(length*(0.15 + rand()*0.25)), Math.floor(length*(0.6 + rand()*0.25))];
+  let centre = span*(0.3 + rand()*0.4);
+  for(let i=0; i<length; i++){
+    centre = clamp(centre + (rand() - 0.5)*1.6, span*0.15, span*0.85);
+    const width = 2 + (rand() < 0.4 ? 1 : 0);
+    const ford = fords.some(f => i >= f && i < f + 2);
+    for(let k=0; k<width; k++) set(i, Math.floor(centre) + k - 1, ford ? "s" : "w");
+  }
+}
+
+// An irregular lake somewhere in the middle of the map, ringed by shallows
+function carveLake(cells, cols, rows, rand){
+  const lx = cols*(0.3 + rand()*0.4), ly = rows*(0.3 + rand()*0.4);
+  const radius = Math.min(cols, rows)*(0.12 + rand()*0.08);
+  const wobble = noiseField(rand, cols, rows, 2);
+  for(let cy=0; cy<rows; cy++){
+    for(let cx=0; cx<cols; cx++){
+      const d = Math.hypot(cx + 0.5 - lx, cy + 0.5 - ly) / radius + (wobble(cx, cy) - 0.5)*0.6;
+      if(d < 1) cells[cy*cols + cx] = "w";
+      else if(d < 1.3) cells[cy*cols + cx] = "s";
+    }
+  }
+}
+
+// Biome code at a world position
+function terrainAt(terrain, x, y){
+  const cx = clamp(Math.floor(x/terrain.cell), 0, terrain.cols - 1);
+  const cy = clamp(Math.floor(y/terrain.cell), 0, terrain.rows - 1);
+  return terrain.cells[cy*terrain.cols + cx];
+}
+
+// Solid terrain cells within `reach` of a point, as boxes for pushOut
+function solidCellsNear(terrain, x, y, reach){
+  const out = [], c = terrain.cell;
+  const x0 = Math.max(0, Math.floor((x - reach)/c)), x1 = Math.min(terrain.cols - 1, Math.floor((x + reach)/c));
+  const y0 = Math.max(0, Math.floor((y - reach)/c)), y1 = Math.min(terrain.rows - 1, Math.floor((y + reach)/c));
+  for(let cy=y0; cy<=y1; cy++){
+    for(let cx=x0; cx<=x1; cx++){
+      if(BIOMES[terrain.cells[cy*terrain.cols + cx]].solid) out.push({ref: {x: (cx + 0.5)*c, y: (cy + 0.5)*c}, hw: c/2, hh: c/2});
+    }
+  }
+  return out;
+}
+
+// True when a circle of radius r at (x, y) overlaps solid terrain
+function onSolidTerrain(terrain, x, y, r){
+  return solidCellsNear(terrain, x, y, r).some(c => pushOut({x, y}, c, r));
+}
+
+// Weighted random key of an object like {tree: 6, wood: 3}
+function weightedPick(rand, weights){
+  let total = 0;
+  for(const k in weights) total += weights[k];
+  let roll = rand()*total;
+  for(const k in weights){
+    roll -= weights[k];
+    if(roll < 0) return k;
+  }
+  return Object.keys(weights)[0];
+}
+
+// Resource nodes for the room's terrain: clusters of two to five nodes around centres picked by biome share
+function generateNodes(terrain){
+  const rand = seededRandom(terrain.seed + ":nodes");
+  const target = Math.round(WORLD.W*WORLD.H*NODES_PER_PX*CONFIG.resourceDensity/100);
+  const cellShares = {};
+  for(let i=0; i<terrain.cells.length; i++){
+    const share = BIOMES[terrain.cells[i]].clusters;
+    if(share) cellShares[i] = share;
+  }
+  const nodes = [];
+  for(let attempt=0; nodes.length < target && attempt < target*10; attempt++){
+    const i = Number(weightedPick(rand, cellShares));
+    const type = weightedPick(rand, BIOMES[terrain.cells[i]].nodes);
+    const cx = (i % terrain.cols + rand())*terrain.cell, cy = (Math.floor(i / terrain.cols) + rand())*terrain.cell;
+    const size = 2 + Math.floor(rand()*4);
+    for(let k=0; k<size && nodes.length < target; k++){
+      const a = rand()*Math.PI*2, d = k ? 40 + rand()*60 : 0;
+      const x = Math.round(cx + Math.cos(a)*d), y = Math.round(cy + Math.sin(a)*d);
+      const r = NODE_RADIUS[type];
+      if(x < r || y < r || x > WORLD.W - r || y > WORLD.H - r || onSolidTerrain(terrain, x, y, r)) continue;
+      // leave room to walk between nodes
+      if(nodes.some(n => Math.hypot(n.x - x, n.y - y) < NODE_RADIUS[n.type] + r + PLAYER_RADIUS)) continue;
+      const hp = 30 + Math.floor(rand()*50);
+      nodes.push({id: "n"+nodes.length, type, x, y, hp, maxHp: hp, respawnAt: 0});
+    }
+  }
+  return nodes;
+}
+
+// World description sent in welcome (and recording headers): size, seed and terrain with the biome catalog
+function worldInfo(room){
+  const t = room.terrain;
+  return {W: WORLD.W, H: WORLD.H, seed: t.seed, cell: t.cell, cols: t.cols, rows: t.rows, cells: t.cells, biomes: BIOMES};
+}
+
+// (Re)generate a room's terrain and resources from a seed; mobs are placed again on the new map
+function generateWorld(room, seed){
+  room.terrain = generateTerrain(seed);
+  room.state.nodes = generateNodes(room.terrain);
+  room.state.mobs = [];
+  room.mobRespawns = [];
+  for(const kind in MOB_COUNTS) for(let i=0; i<MOB_COUNTS[kind]; i++) spawnMob(room, kind);
+}
+
+// Regenerate a live room's world: no buildings, everyone respawns, clients get the new terrain
+function resetWorld(room, seed){
+  generateWorld(room, seed);
+  room.state.buildings = [];
+  for(const id in room.state.players) respawn(room.state.players[id]);
+  broadcast(room, {type:"world", world: worldInfo(room)});
+}
+
+// ----- Rooms -----
+// Each room is an independent world with its own simulation/snapshot timers and chat.
+// Clients pick one with /ws?room=<name>; unknown names create a room (up to MAX_ROOMS).
+const DEFAULT_ROOM = "main";
+// ROOMS=main,arena:koth opens main and arena at startup, arena playing king of the hill
+const STARTUP_ROOMS = [], STARTUP_MODES = {};
+for(const entry of (CONFIG.rooms || DEFAULT_ROOM).split(",")){
+  const [name, mode] = entry.trim().toLowerCase().split(":");
+  if(!name) continue;
+  STARTUP_ROOMS.push(name);
+  if(mode) STARTUP_MODES[name] = mode;
+}
+const MAX_ROOMS = 8;
+const ROOM_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,23}$/;
+
+// Check of the rooms setting: valid names, known modes, no more than MAX_ROOMS
+function startupRoomsError(value){
+  const entries = value.toLowerCase().split(",").map(e => e.trim()).filter(Boolean);
+  if(entries.length > MAX_ROOMS) return `opens more than ${MAX_ROOMS} rooms`;
+  for(const entry of entries){
+    const [name, mode, extra] = entry.split(":");
+    if(!ROOM_NAME_RE.test(name)) return `has an invalid room name "${name}" (a-z, 0-9, _ and -, up to 24)`;
+    if(extra !== undefined || (mode !== undefined && !hasOwn(GAME_MODES, mode))) return `gives room ${name} an unknown mode (${Object.keys(GAME_MODES).join(", ")})`;
+  }
+  return null;
+}
+const ROOM_IDLE_MS = 10 * 60_000; // empty rooms without buildings are closed after this (startup rooms never)
+const rooms = new Map();
+
+// The mode comes from ROOMS, else the save, else the one asked for when the room was created from the lobby
+function createRoom(name, saved, mode){
+  const room = {name, state: {players: {}, nodes: [], buildings: [], mobs: []}, clans: {}, nextMobId: 1, mobRespawns: [],
+    clockStart: Date.now() - DAY_LENGTH_MS*0.3, weather: {kind: "clear", until: Date.now() + WEATHER_MIN_MS}, solids: createSpatialHash(HASH_CELL), emptySince: Date.now(), timers: []};
+  if(saved && Array.isArray(saved.nodes) && saved.nodes.length){
+    // saves from before seeded worlds get a fresh seed; their nodes stay, except any that ended up in water
+    room.terrain = generateTerrain(typeof saved.seed === "string" && saved.seed ? saved.seed : CONFIG.worldSeed || randomSeed());
+    room.state.nodes = saved.nodes.filter(n => !onSolidTerrain(room.terrain, n.x, n.y, 1));
+    room.state.buildings = (saved.buildings || []).filter(b => hasOwn(BUILDINGS, b.kind));
+    for(const tag in saved.clans || {}){
+      const c = saved.clans[tag];
+      if(!CLAN_TAG_RE.test(tag) || !c || !Array.isArray(c.members) || !c.members.includes(c.leader)) continue;
+      room.clans[tag] = {tag, leader: c.leader, members: c.members.filter(m => typeof m === "string").slice(0, MAX_CLAN_MEMBERS)};
+    }
+    for(const kind in MOB_COUNTS) for(let i=0; i<MOB_COUNTS[kind]; i++) spawnMob(room, kind);
+  } else {
+    generateWorld(room, CONFIG.worldSeed || randomSeed());
+  }
+  mode = [STARTUP_MODES[name], saved && saved.mode, mode].find(m => hasOwn(GAME_MODES, m)) || DEFAULT_MODE;
+  newRound(room, mode);
+  for(let i=0; i<BOT_COUNT; i++) createBot(room);
+  room.timers.push(
+    setInterval(() => {
+      const t0 = performance.now();
+      gameTick(room);
+      observe(metrics.tick, performance.now() - t0);
+    }, 1000 / TICK_RATE),
+    setInterval(() => sendSnapshots(room), 1000 / SNAPSHOT_RATE),
+    setInterval(() => broadcast(room, {type:"roster", players: rosterState(room), mobs: mobCounts(room)}), 1000 / ROSTER_RATE),
+    setInterval(() => {
+      processRespawns(room);
+      processBuildings(room);
+      processHunger(room);
+      processDisconnected(room);
+      processMobRespawns(room);
+      processWeather(room);
+      processStats(room);
+      processNightMobs(room);
+      processRound(room);
+      flushRecording(room);
+    }, 1000)
+  );
+  if(shouldRecord(name)){
+    startRecording(room);
+    room.timers.push(setInterval(() => recordState(room), 1000 / RECORD_RATE));
+  }
+  rooms.set(name, room);
+  return room;
+}
+
+function closeRoom(room){
+  room.timers.forEach(clearInterval);
+  flushRecording(room);
+  rooms.delete(room.name);
+}
+
+// Close rooms nobody has been in for a while, unless they were opened at startup or hold buildings
+function closeIdleRooms(){
+  const nowt = Date.now();
+  for(const room of rooms.values()){
+    if(Object.values(room.state.players).some(p => !p.bot)){ room.emptySince = nowt; continue; }
+    if(STARTUP_ROOMS.includes(room.name) || room.state.buildings.length) continue;
+    if(nowt - room.emptySince > ROOM_IDLE_MS) closeRoom(room);
+  }
+}
+
+// The player with this id in any room, if online
+function findPlayer(id){
+  for(const room of rooms.values()) if(room.state.players[id]) return room.state.players[id];
+  return null;
+}
+
+// ----- Recording -----
+// With RECORD set ("1" for every room, or a comma-separated list of rooms), each room writes its session to
+// RECORD_DIR as JSON lines: a header, the whole world at RECORD_RATE (deltas with periodic keyframes to seek to)
+// and everything broadcast to the room plus kills and destroyed buildings. script.js plays them back (?replay=).
+const RECORD = CONFIG.record.toLowerCase();
+const RECORD_DIR = process.env.RECORD_DIR || path.join(__dirname, ".moolite-recordings");
+const RECORD_RATE = 10; // Hz
+const RECORD_KEYFRAME_EVERY = 100; // states between keyframes (10s at 10Hz)
+const RECORDING_FILE_RE = /^[a-z0-9][a-z0-9_-]*-\d{8}T\d{6}Z\.jsonl$/;
+
+// Check of the record setting: 1 (or true) for every room, else room names
+function recordError(value){
+  const v = value.toLowerCase();
+  if(!v || v === "1" || v === "true") return null;
+  const bad = v.split(",").map(r => r.trim()).find(r => !ROOM_NAME_RE.test(r));
+  return bad === undefined ? null : `has an invalid room name "${bad}" (use 1 to record every room)`;
+}
+
+function shouldRecord(name){
+  return RECORD === "1" || RECORD === "true" || RECORD.split(",").map(r => r.trim()).includes(name);
+}
+
+function startRecording(room){
+  const stamp = new Date().toISOString().replace(/[-:]|\.\d+/g, ""); // 20261019T182500Z
+  try {
+    fs.mkdirSync(RECORD_DIR, {recursive: true});
+  } catch (e){
+    console.warn(`Not recording room ${room.name}:`, e.message);
+    return;
+  }
+  room.recorder = {file: path.join(RECORD_DIR, `${room.name}-${stamp}.jsonl`), lines: [], prev: null, sinceKey: 0};
+  record(room, {type:"header", version: 1, room: room.name, world: worldInfo(room), config: clientConfig(), buildings: BUILDINGS, items: ITEMS, mobTypes: MOBS, clock: clockInfo(room), statTypes: STATS, round: roundInfo(room)});
+  console.log(`Recording room ${room.name} to ${room.recorder.file}`);
+}
+
+// Queue one timestamped line (written out by flushRecording)
+function record(room, obj){
+  if(room.recorder) room.recorder.lines.push(JSON.stringify(Object.assign({t: Date.now()}, obj)));
+}
+
+// The whole room (not just one player's area of interest) as a delta against the previous recorded state
+function recordState(room){
+  const rec = room.recorder, state = room.state;
+  const cur = {players: {}, nodes: {}, buildings: {}, mobs: {}};
+  for(const id in state.players) cur.players[id] = serializePlayer(state.players[id], false);
+  for(const n of state.nodes) cur.nodes[n.id] = serializeNode(n);
+  for(const b of state.buildings) cur.buildings[b.id] = serializeBuilding(b);
+  for(const m of state.mobs) cur.mobs[m.id] = serializeMob(m);
+  const keyframe = !rec.prev || rec.sinceKey >= RECORD_KEYFRAME_EVERY;
+  const msg = {type:"state", key: keyframe, clock: clockState(room), round: roundState(room, null)};
+  let changed = keyframe;
+  for(const g in cur){
+    const d = diffGroup(keyframe ? null : rec.prev[g], cur[g]);
+    msg[g] = d.changed;
+    if(d.removed.length){ msg.removed = msg.removed || {}; msg.removed[g] = d.removed; }
+    if(d.changed.length || d.removed.length) changed = true;
+  }
+  rec.prev = cur;
+  rec.sinceKey = keyframe ? 0 : rec.sinceKey + 1;
+  if(changed) record(room, msg);
+}
+
+function flushRecording(room){
+  const rec = room.recorder;
+  if(!rec || !rec.lines.length) return;
+  const data = rec.lines.join("\n") + "\n";
+  rec.lines = [];
+  try {
+    fs.appendFileSync(rec.file, data);
+  } catch (e){
+    console.warn("Recording write failed:", e.message);
+  }
+}
+
+// ----- Clans -----
+// Per-room groups: members can't hurt each other or each other's buildings, and share doors and camps.
+// Membership is by player id, which comes back with the profile, so it survives reconnects and restarts.
+const CLAN_TAG_RE = /^[A-Za-z0-9]{2,5}$/;
+const MAX_CLAN_MEMBERS = 8;
+
+function clanOf(room, id){
+  for(const tag in room.clans) if(room.clans[tag].members.includes(id)) return room.clans[tag];
+  return null;
+}
+
+// Whether two player ids are the same player or in the same clan
+function allied(room, a, b){
+  if(a === b) return true;
+  const clan = clanOf(room, a);
+  return !!clan && clan.members.includes(b);
+}
+
+function clansState(room){
+  return Object.values(room.clans).map(c => ({tag: c.tag, leader: c.leader, members: c.members.slice()}));
+}
+
+// Empty clans are disbanded; a leaving leader hands over to the longest-standing member
+function removeFromClan(room, clan, id){
+  clan.members = clan.members.filter(m => m !== id);
+  if(!clan.members.length) delete room.clans[clan.tag];
+  else if(clan.leader === id) clan.leader = clan.members[0];
+}
+
+// Create, join, leave or kick; returns a rejection reason, or null on success (the room gets the new clan list)
+function clanAction(player, msg){
+  const room = player.room;
+  const mine = clanOf(room, player.id);
+  if(msg.action === "create"){
+    const tag = String(msg.tag || "");
+    if(!CLAN_TAG_RE.test(tag)) return "Clan tags are 2-5 letters or digits";
+    if(mine) return "Leave your clan first";
+    if(Object.keys(room.clans).some(t => t.toLowerCase() === tag.toLowerCase())) return "That tag is taken";
+    room.clans[tag] = {tag, leader: player.id, members: [player.id]};
+  } else if(msg.action === "join"){
+    const clan = hasOwn(room.clans, msg.tag) ? room.clans[msg.tag] : null;
+    if(!clan) return "No such clan";
+    if(mine) return "Leave your clan first";
+    if(clan.members.length >= MAX_CLAN_MEMBERS) return `Clans are limited to ${MAX_CLAN_MEMBERS} members`;
+    clan.members.push(player.id);
+  } else if(msg.action === "leave"){
+    if(!mine) return "You're not in a clan";
+    removeFromClan(room, mine, player.id);
+  } else if(msg.action === "kick"){
+    if(!mine || mine.leader !== player.id) return "Only the clan leader can kick";
+    if(msg.id === player.id || !mine.members.includes(msg.id)) return "Not a member of your clan";
+    removeFromClan(room, mine, msg.id);
+    sendTo(msg.id, {type:"chat", fromName:"System", text:`You were kicked from [${mine.tag}]`});
+  } else {
+    return "Unknown clan action";
+  }
+  broadcast(room, {type:"clans", clans: clansState(room)});
+  return null;
+}
+
+// ----- Persistence -----
+// Worlds (nodes, buildings per room) and player profiles share one JSON file. The leading dot keeps
+// express.static from serving it, since profiles are keyed by each player's secret token.
+const SAVE_FILE = process.env.SAVE_FILE || path.join(__dirname, ".moolite-save.json");
+const SAVE_INTERVAL_MS = 30_000;
+const TOKEN_RE = /^[A-Za-z0-9_-]{16,64}$/;
+
+// token -> {id, room, name, x, y, hp, hunger, kills, inv, items, equipped, stats, achievements}
+let profiles = {};
+// [{name, token, ip, reason, at, by}] and token -> muted-until timestamp (see Moderation)
+let bans = [];
+let mutes = {};
+
+function newToken(){ return crypto.randomBytes(16).toString("hex"); }
 
-// seed nodes randomly
-function seedNodes(){
-  for(let i=0;i<80;i++){
-    const type = RES_NODE_TYPES[Math.floor(Math.random()*RES_NODE_TYPES.length)];
-    state.nodes.push({
-      id: "n"+i,
-      type,
-      x: Math.random()*WORLD.W,
-      y: Math.random()*WORLD.H,
-      hp: 30 + Math.floor(Math.random()*50),
-      maxHp: 30 + Math.floor(Math.random()*50),
-      respawnAt: 0
-    });
+function profileOf(p){
+  return {id: p.id, room: p.room.name, name: p.name, x: p.x, y: p.y, hp: p.hp, hunger: p.hunger, kills: p.kills,
+    inv: Object.assign({}, p.inv), items: p.items.slice(), equipped: p.equipped,
+    stats: Object.assign({}, p.stats), achievements: p.achievements.slice()};
+}
+
+// Copy a saved profile onto a fresh player, ignoring anything malformed.
+// Position only carries over within the same room.
+function restoreProfile(p, saved){
+  const num = (v, lo, hi, dflt) => Number.isFinite(v) ? clamp(v, lo, hi) : dflt;
+  if(saved.room === p.room.name){
+    p.x = num(saved.x, 0, WORLD.W, p.x);
+    p.y = num(saved.y, 0, WORLD.H, p.y);
+  }
+  p.hp = num(saved.hp, 1, 100, p.hp);
+  p.hunger = num(saved.hunger, 0, 100, p.hunger);
+  p.kills = num(saved.kills, 0, Infinity, 0);
+  for(const k in p.inv) p.inv[k] = num(saved.inv && saved.inv[k], 0, Infinity, 0);
+  if(Array.isArray(saved.items)) p.items = ["hand", ...saved.items.filter(k => k !== "hand" && hasOwn(ITEMS, k))];
+  if(p.items.includes(saved.equipped)) p.equipped = saved.equipped;
+  // profiles from before stats only had kills
+  const stats = saved.stats || {kills: saved.kills};
+  for(const k in STATS) p.stats[k] = num(stats[k], 0, Infinity, 0);
+  if(Array.isArray(saved.achievements)) p.achievements = saved.achievements.filter(k => hasOwn(ACHIEVEMENTS, k));
+}
+
+// Write worlds and profiles (online players included) atomically; returns false on failure
+function saveWorld(){
+  const worlds = {};
+  for(const room of rooms.values()){
+    for(const id in room.state.players){
+      const p = room.state.players[id];
+      if(p.token) profiles[p.token] = profileOf(p);
+    }
+    worlds[room.name] = {seed: room.terrain.seed, mode: room.round.mode, nodes: room.state.nodes, buildings: room.state.buildings, clans: room.clans};
+  }
+  const data = {version: 2, savedAt: Date.now(), nextPlayerId, rooms: worlds, profiles, bans, mutes};
+  try {
+    const tmp = SAVE_FILE + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, SAVE_FILE);
+    return true;
+  } catch (e){
+    console.warn("World save failed:", e.message);
+    return false;
+  }
+}
+
+// Open the saved rooms plus the startup rooms (fresh worlds for any that were never saved)
+function loadWorld(){
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(SAVE_FILE, "utf8"));
+  } catch (e){
+    if(e.code !== "ENOENT") console.warn("Could not read save file, starting a fresh world:", e.message);
+  }
+  // version 1 saves held a single world
+  const worlds = data.rooms || (data.nodes ? {[DEFAULT_ROOM]: {nodes: data.nodes, buildings: data.buildings}} : {});
+  profiles = data.profiles || {};
+  bans = Array.isArray(data.bans) ? data.bans : [];
+  mutes = data.mutes || {};
+  nextPlayerId = Math.max(nextPlayerId, data.nextPlayerId || 1);
+  for(const name in worlds){
+    if(ROOM_NAME_RE.test(name) && rooms.size < MAX_ROOMS) createRoom(name, worlds[name]);
+  }
+  for(const name of STARTUP_ROOMS){
+    if(!rooms.has(name) && ROOM_NAME_RE.test(name)) createRoom(name);
   }
+  if(Object.keys(worlds).length) console.log(`Restored ${Object.keys(worlds).length} room(s) and ${Object.keys(profiles).length} profiles from ${SAVE_FILE}`);
 }
-seedNodes();
 
-function createPlayer(name){
-  const id = "p"+(nextPlayerId++);
+// New player for a token, picking up its saved profile (same id, so building ownership carries over)
+function createPlayer(room, name, token){
+  const saved = profiles[token];
+  const id = saved && saved.id && !findPlayer(saved.id) ? saved.id : "p"+(nextPlayerId++);
   const p = {
     id,
+    token,
+    room,
     name: name || ("Player"+id),
-    x: Math.random()*WORLD.W,
-    y: Math.random()*WORLD.H,
+    ...findFreeSpot(room),
     hp: 100,
+    hunger: 100,
     kills: 0,
     inv: {wood:0, stone:0, food:0},
-    lastActive: Date.now()
+    items: ["hand"],
+    equipped: "hand",
+    lastSwingAt: 0,
+    moveBudget: CONFIG.playerSpeed*MOVE_BURST_S,
+    invulnerableUntil: 0,
+    posHistory: [],
+    rtt: 0,
+    inputQueue: [],
+    lastSeq: 0,
+    resumeToken: "",
+    disconnectedAt: 0,
+    lastActive: Date.now(),
+    stats: emptyStats(), // all-time, kept in the profile
+    session: emptyStats(), // since this body entered the world
+    achievements: [],
+    lifeSeconds: 0
   };
-  state.players[id] = p;
+  if(saved) restoreProfile(p, saved);
+  room.state.players[id] = p;
+  if(token) profiles[token] = profileOf(p);
   return p;
 }
 
+// ----- Stats and achievements -----
+// Players keep all-time stats (in their profile, so they survive reconnects and restarts) and session stats
+// (since they entered the world). Achievements unlock from all-time stats and are announced to the room.
+//  seconds: the value is a duration
+const STATS = {
+  kills:     {label:"Kills"},
+  deaths:    {label:"Deaths"},
+  damage:    {label:"Damage dealt"},
+  mobs:      {label:"Mobs hunted"},
+  wood:      {label:"Wood gathered"},
+  stone:     {label:"Stone gathered"},
+  food:      {label:"Food gathered"},
+  placed:    {label:"Buildings placed"},
+  destroyed: {label:"Buildings destroyed"},
+  timeAlive: {label:"Time alive", seconds:true},
+  bestLife:  {label:"Longest life", seconds:true},
+  wins:      {label:"Rounds won"}
+};
+// Unlocked once the all-time stat reaches min
+const ACHIEVEMENTS = {
+  firstBlood:  {label:"First blood", emoji:"🩸", stat:"kills", min:1, description:"Defeat another player"},
+  warlord:     {label:"Warlord", emoji:"⚔️", stat:"kills", min:25, description:"Defeat 25 players"},
+  hunter:      {label:"Hunter", emoji:"🐺", stat:"mobs", min:10, description:"Hunt 10 cows or wolves"},
+  lumberjack:  {label:"Lumberjack", emoji:"🪓", stat:"wood", min:500, description:"Gather 500 wood"},
+  stonecutter: {label:"Stonecutter", emoji:"⛏️", stat:"stone", min:300, description:"Gather 300 stone"},
+  architect:   {label:"Architect", emoji:"🏗️", stat:"placed", min:25, description:"Place 25 buildings"},
+  wrecker:     {label:"Wrecker", emoji:"💥", stat:"destroyed", min:10, description:"Destroy 10 enemy buildings"},
+  survivor:    {label:"Survivor", emoji:"🕰️", stat:"bestLife", min:1800, description:"Stay alive for 30 minutes"},
+  champion:    {label:"Champion", emoji:"🏆", stat:"wins", min:3, description:"Win 3 rounds"}
+};
+
+function emptyStats(){
+  const stats = {};
+  for(const k in STATS) stats[k] = 0;
+  return stats;
+}
+
+function addStat(p, key, n = 1){
+  if(!n) return;
+  p.stats[key] += n;
+  p.session[key] += n;
+  roundStat(p, key, n);
+  checkAchievements(p);
+}
+
+function checkAchievements(p){
+  for(const key in ACHIEVEMENTS){
+    const a = ACHIEVEMENTS[key];
+    if(p.achievements.includes(key) || p.stats[a.stat] < a.min) continue;
+    p.achievements.push(key);
+    broadcast(p.room, {type:"chat", fromName:"System", text:`🏅 ${p.name} unlocked ${a.emoji} ${a.label}: ${a.description}`});
+  }
+}
+
+// Once a second: time alive for everyone playing (not bodies waiting for a reconnect)
+function processStats(room){
+  for(const id in room.state.players){
+    const p = room.state.players[id];
+    if(p.disconnectedAt) continue;
+    p.lifeSeconds++;
+    if(p.lifeSeconds > p.session.bestLife) p.session.bestLife = p.lifeSeconds;
+    if(p.lifeSeconds > p.stats.bestLife) p.stats.bestLife = p.lifeSeconds;
+    addStat(p, "timeAlive");
+  }
+}
+
 function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
 function sanitize(s){ return String(s).replace(/</g,"&lt;").replace(/>/g,"&gt;"); }
 
+// ----- Collision -----
+// Uniform grid of buckets; items are inserted into every cell their bounding box touches
+function createSpatialHash(cellSize){
+  const cells = new Map();
+  const key = (cx, cy) => cx + "," + cy;
+  function forCells(minX, minY, maxX, maxY, fn){
+    const x0 = Math.floor(minX/cellSize), x1 = Math.floor(maxX/cellSize);
+    const y0 = Math.floor(minY/cellSize), y1 = Math.floor(maxY/cellSize);
+    for(let cx=x0; cx<=x1; cx++) for(let cy=y0; cy<=y1; cy++) fn(key(cx, cy));
+  }
+  return {
+    clear(){ cells.clear(); },
+    insert(item, minX, minY, maxX, maxY){
+      forCells(minX, minY, maxX, maxY, k => {
+        let bucket = cells.get(k);
+        if(!bucket){ bucket = []; cells.set(k, bucket); }
+        bucket.push(item);
+      });
+    },
+    query(minX, minY, maxX, maxY){
+      const out = new Set();
+      forCells(minX, minY, maxX, maxY, k => {
+        const bucket = cells.get(k);
+        if(bucket) for(const item of bucket) out.add(item);
+      });
+      return out;
+    }
+  };
+}
+
+// Colliders read their position from ref, so players moved earlier in the same tick are seen where they are now
+function rebuildSolids(room){
+  const {state, solids} = room;
+  solids.clear();
+  const slack = CONFIG.playerSpeed*TICK_DT*MAX_INPUTS_PER_TICK;
+  for(const n of state.nodes){
+    if(n.hp <= 0) continue; // depleted nodes can be walked over until they respawn
+    const r = NODE_RADIUS[n.type] || PLAYER_RADIUS;
+    solids.insert({ref: n, r}, n.x-r, n.y-r, n.x+r, n.y+r);
+  }
+  for(const b of state.buildings){
+    const def = BUILDINGS[b.kind];
+    if(!def || !def.solid) continue;
+    const h = def.half;
+    solids.insert({ref: b, hw: h, hh: h, building: def}, b.x-h, b.y-h, b.x+h, b.y+h);
+  }
+  for(const id in state.players){
+    const p = state.players[id];
+    const r = PLAYER_RADIUS + slack;
+    solids.insert({ref: p, r: PLAYER_RADIUS}, p.x-r, p.y-r, p.x+r, p.y+r);
+  }
+  for(const m of state.mobs){
+    const def = MOBS[m.kind];
+    const r = def.radius + def.speed*TICK_DT;
+    solids.insert({ref: m, r: def.radius}, m.x-r, m.y-r, m.x+r, m.y+r);
+  }
+}
+
+// Push a circle of radius R at (e.x,e.y) out of a collider; returns true if it moved
+function pushOut(e, c, R){
+  const cx = c.ref.x, cy = c.ref.y;
+  if(c.r !== undefined){
+    let dx = e.x - cx, dy = e.y - cy, d = Math.hypot(dx, dy);
+    const min = c.r + R;
+    if(d >= min) return false;
+    if(d === 0){ dx = 1; dy = 0; d = 1; }
+    e.x = cx + dx/d*min; e.y = cy + dy/d*min;
+    return true;
+  }
+  const qx = clamp(e.x, cx - c.hw, cx + c.hw), qy = clamp(e.y, cy - c.hh, cy + c.hh);
+  const dx = e.x - qx, dy = e.y - qy, d = Math.hypot(dx, dy);
+  if(d >= R) return false;
+  if(d > 0){
+    e.x = qx + dx/d*R; e.y = qy + dy/d*R;
+  } else {
+    // centre inside the box: leave through the nearest face
+    const left = e.x - (cx - c.hw), right = (cx + c.hw) - e.x;
+    const top = e.y - (cy - c.hh), bottom = (cy + c.hh) - e.y;
+    const m = Math.min(left, right, top, bottom);
+    if(m === left) e.x = cx - c.hw - R;
+    else if(m === right) e.x = cx + c.hw + R;
+    else if(m === top) e.y = cy - c.hh - R;
+    else e.y = cy + c.hh + R;
+  }
+  return true;
+}
+
+// Random position where a player does not overlap anything solid (falls back to any spot)
+function findFreeSpot(room){
+  const state = room.state;
+  for(let attempt=0; attempt<30; attempt++){
+    const spot = {x: Math.random()*WORLD.W, y: Math.random()*WORLD.H};
+    const blocked = onSolidTerrain(room.terrain, spot.x, spot.y, PLAYER_RADIUS) || state.nodes.some(n => n.hp > 0 && Math.hypot(n.x - spot.x, n.y - spot.y) < (NODE_RADIUS[n.type] || PLAYER_RADIUS) + PLAYER_RADIUS) ||
+      state.buildings.some(b => Math.abs(b.x - spot.x) < buildingHalf(b.kind) + PLAYER_RADIUS && Math.abs(b.y - spot.y) < buildingHalf(b.kind) + PLAYER_RADIUS) ||
+      Object.values(state.players).some(p => Math.hypot(p.x - spot.x, p.y - spot.y) < PLAYER_RADIUS*2);
+    if(!blocked) return spot;
+  }
+  return {x: Math.random()*WORLD.W, y: Math.random()*WORLD.H};
+}
+
+function buildingHalf(kind){ return BUILDINGS[kind] ? BUILDINGS[kind].half : 20; }
+
+// Whether a player may walk through a building that lets its owner (and their clan) pass
+function canPass(b, player){
+  return allied(player.room, b.owner, player.id);
+}
+
+// Resolve a moving player (or mob, with its radius) against nodes, buildings, players and mobs (treated as static)
+function resolveCollisions(player, R = PLAYER_RADIUS){
+  const reach = R + HASH_CELL/2;
+  const near = player.room.solids.query(player.x - reach, player.y - reach, player.x + reach, player.y + reach);
+  for(let pass=0; pass<3; pass++){
+    let moved = false;
+    for(const c of near){
+      if(c.ref === player) continue;
+      if(c.building && c.building.ownerPasses && canPass(c.ref, player)) continue;
+      if(pushOut(player, c, R)) moved = true;
+    }
+    for(const c of solidCellsNear(player.room.terrain, player.x, player.y, R)){
+      if(pushOut(player, c, R)) moved = true;
+    }
+    player.x = clamp(player.x, 0, WORLD.W);
+    player.y = clamp(player.y, 0, WORLD.H);
+    if(!moved) break;
+  }
+}
+
+// connected sockets with their room and per-client snapshot bookkeeping
+const clients = new Set();
+
+// ----- Message validation and rate limits -----
+// Field specs per client message type; fields not listed are ignored by the handlers.
+//  type: "string" | "number" (finite) | "boolean" | "object" | "array"   max: string/array length   oneOf: allowed values
+const MESSAGE_SCHEMAS = {
+  join:    {name: {type:"string", max:64, optional:true}, token: {type:"string", max:64, optional:true}, resume: {type:"string", max:64, optional:true},
+            version: {type:"number", optional:true}, encodings: {type:"array", max:8, optional:true}},
+  input:   {seq: {type:"number"}, dt: {type:"number", optional:true}, ack: {type:"number", optional:true}, keys: {type:"object", optional:true}, mouse: {type:"object", optional:true}},
+  chat:    {text: {type:"string", max:500}, channel: {type:"string", oneOf:["clan"], optional:true}},
+  place:   {kind: {type:"string", max:32}, x: {type:"number"}, y: {type:"number"}},
+  eat:     {},
+  craft:   {item: {type:"string", max:32}},
+  equip:   {item: {type:"string", max:32}},
+  action:  {action: {type:"string", oneOf:["click"]}, x: {type:"number"}, y: {type:"number"}},
+  setName: {name: {type:"string", max:64}},
+  clan:    {action: {type:"string", oneOf:["create","join","leave","kick"]}, tag: {type:"string", max:16, optional:true}, id: {type:"string", max:32, optional:true}},
+  ping:    {t: {type:"number", optional:true}} // answered with a pong for latency and clock sync
+};
+const INPUT_KEYS = ["up","down","left","right"];
+
+// Token buckets per connection and message type: rate tokens/second, up to burst banked
+const RATE_LIMITS = {
+  join:    {rate:0.5, burst:3},
+  input:   {rate:TICK_RATE*1.5, burst:TICK_RATE*2},
+  chat:    {rate:1, burst:5},
+  place:   {rate:5, burst:10},
+  eat:     {rate:4, burst:8},
+  craft:   {rate:4, burst:8},
+  equip:   {rate:10, burst:20},
+  action:  {rate:15, burst:25},
+  setName: {rate:0.2, burst:3},
+  clan:    {rate:1, burst:5},
+  ping:    {rate:2, burst:6}
+};
+const MAX_VIOLATIONS = 20; // invalid or rate-limited messages within VIOLATION_WINDOW_MS before disconnecting
+const VIOLATION_WINDOW_MS = 10_000;
+
+// Returns a rejection reason, or null when msg matches its type's schema
+function validateMessage(msg){
+  if(!msg || typeof msg !== "object" || Array.isArray(msg)) return "Message must be a JSON object";
+  if(typeof msg.type !== "string" || !hasOwn(MESSAGE_SCHEMAS, msg.type)) return "Unknown message type";
+  const schema = MESSAGE_SCHEMAS[msg.type];
+  for(const field in schema){
+    const spec = schema[field], v = msg[field];
+    if(v === undefined || v === null){
+      if(spec.optional) continue;
+      return `Missing ${field}`;
+    }
+    const ok = spec.type === "number" ? Number.isFinite(v) :
+      spec.type === "array" ? Array.isArray(v) :
+      spec.type === "object" ? typeof v === "object" && !Array.isArray(v) : typeof v === spec.type;
+    if(!ok) return `${field} must be a${spec.type === "array" || spec.type === "object" ? "n" : ""} ${spec.type}`;
+    if(spec.max !== undefined && v.length > spec.max) return `${field} is too long (max ${spec.max})`;
+    if(spec.oneOf && !spec.oneOf.includes(v)) return `${field} must be one of ${spec.oneOf.join(", ")}`;
+  }
+  if(msg.type === "input" && msg.keys && INPUT_KEYS.some(k => msg.keys[k] !== undefined && typeof msg.keys[k] !== "boolean")) return "keys must be booleans";
+  return null;
+}
+
+// Spend one token from the connection's bucket for this message type; false when empty
+function takeToken(client, type){
+  const limit = RATE_LIMITS[type];
+  const nowt = Date.now();
+  let b = client.buckets[type];
+  if(!b) b = client.buckets[type] = {tokens: limit.burst, at: nowt};
+  b.tokens = Math.min(limit.burst, b.tokens + (nowt - b.at)/1000*limit.rate);
+  b.at = nowt;
+  if(b.tokens < 1) return false;
+  b.tokens -= 1;
+  return true;
+}
+
+// Record a bad message: the sender gets a rejection (inputs are dropped silently), and too many in a row disconnect it
+function violation(client, action, reason){
+  const nowt = Date.now();
+  client.violations = client.violations.filter(t => nowt - t < VIOLATION_WINDOW_MS);
+  client.violations.push(nowt);
+  if(client.violations.length >= MAX_VIOLATIONS){
+    console.warn(`Disconnecting ${client.pid || client.ip} after ${client.violations.length} violations (last: ${action}: ${reason})`);
+    client.ws.close(4006, "Too many invalid messages");
+    return;
+  }
+  if(action !== "input" && client.ws.readyState === WebSocket.OPEN){
+    client.ws.send(JSON.stringify({type:"rejected", action: action || "message", reason}));
+  }
+}
+
+// Movement that fails the speed check counts against the connection(s) driving the player
+function speedViolation(player, reason){
+  for(const c of clients) if(c.pid === player.id) violation(c, "move", reason);
+}
+
 // ----- WebSocket events -----
 wss.on("connection", (ws, req) => {
-  let pid = null;
+  const ip = clientIp(req);
+  if(findBan({ip})){
+    ws.close(4004, "Banned");
+    return;
+  }
+  const query = new URL(req.url, "http://localhost").searchParams;
+  const roomName = (query.get("room") || DEFAULT_ROOM).toLowerCase();
+  if(!ROOM_NAME_RE.test(roomName)){
+    ws.close(4002, "Invalid room name");
+    return;
+  }
+  let room = rooms.get(roomName);
+  if(!room){
+    if(rooms.size >= MAX_ROOMS){
+      ws.close(4003, "Room limit reached");
+      return;
+    }
+    room = createRoom(roomName, null, (query.get("mode") || "").toLowerCase());
+  }
+  const client = {ws, socket: req.socket, ip, room, pid: null, encoding: "json", binIds: new Map(), snapId: 0, acked: 0, sinceKey: 0, history: [], buckets: {}, violations: []};
+  clients.add(client);
 
-  ws.on("message", (data) => {
+  ws.on("message", (data, isBinary) => {
+    if(ws.readyState !== WebSocket.OPEN) return; // already being disconnected
+    let msg;
+    if(isBinary){
+      // only inputs are binary, and only once the client has negotiated the binary encoding
+      msg = client.encoding === "binary" ? decodeInput(data) : null;
+      if(!msg){
+        countMessage(metrics.messagesIn, "invalid");
+        violation(client, "message", "Malformed binary message");
+        return;
+      }
+    } else {
+      try {
+        msg = JSON.parse(data);
+      } catch (e){
+        countMessage(metrics.messagesIn, "invalid");
+        violation(client, "message", "Malformed JSON");
+        return;
+      }
+    }
+    const invalid = validateMessage(msg);
+    if(invalid){
+      countMessage(metrics.messagesIn, "invalid");
+      violation(client, msg && typeof msg.type === "string" ? msg.type.slice(0,32) : "message", invalid);
+      return;
+    }
+    countMessage(metrics.messagesIn, msg.type);
+    if(!takeToken(client, msg.type)){
+      violation(client, msg.type, "Too many messages, slow down");
+      return;
+    }
     try {
-      const msg = JSON.parse(data);
-      if(msg.type === "join"){
-        const p = createPlayer(sanitize(msg.name || ("Player"+nextPlayerId)));
-        pid = p.id;
-        // welcome with full state snapshot
-        ws.send(JSON.stringify({type:"welcome", id: p.id, state: snapshotState(), tick: Date.now()}));
-        broadcast({type:"chat", fromName:"System", text:`${p.name} joined`});
+      if(msg.type === "ping"){
+        // echo the client's send time next to ours: the client gets its round trip and the offset between the clocks
+        client.ws.send(JSON.stringify({type:"pong", t: msg.t, server: Date.now()}));
+        countMessage(metrics.messagesOut, "pong");
+      } else if(msg.type === "join"){
+        joinPlayer(client, msg);
       } else {
         // route other messages to handler
-        if(!pid) return;
-        const player = state.players[pid];
+        if(!client.pid) return;
+        const player = room.state.players[client.pid];
         if(!player) return;
         player.lastActive = Date.now();
+        // inputs piggyback the id of the newest snapshot the client has decoded
+        if(typeof msg.ack === "number" && msg.ack > client.acked && msg.ack <= client.snapId){
+          // ack latency doubles as the RTT estimate used for lag compensation
+          const sent = client.history.find(h => h.id === msg.ack);
+          if(sent) player.rtt = player.rtt ? player.rtt*0.8 + (Date.now() - sent.sentAt)*0.2 : Date.now() - sent.sentAt;
+          client.acked = msg.ack;
+        }
         handleClientMessage(player, msg);
       }
     } catch (e){
-      console.warn("Invalid WS message:", e);
+      console.warn("Error handling WS message:", e);
     }
   });
 
+  // oversized frames and protocol errors; ws closes the connection afterwards
+  ws.on("error", (e) => {
+    console.warn(`WS error from ${client.pid || ip}:`, e.message);
+  });
+
   ws.on("close", () => {
-    if(pid && state.players[pid]){
-      const name = state.players[pid].name;
-      delete state.players[pid];
-      broadcast({type:"playerLeft", id: pid, name});
-    }
+    clients.delete(client);
+    metrics.closedBytesIn += req.socket.bytesRead;
+    metrics.closedBytesOut += req.socket.bytesWritten;
+    const p = client.pid && room.state.players[client.pid];
+    if(!p) return;
+    // keep the body in the world so the client can resume it within the grace period
+    p.disconnectedAt = Date.now();
+    p.inputQueue = [];
   });
 });
 
-function handleClientMessage(player, msg){
-  if(msg.type === "input"){
-    const secs = (msg.dt || 100)/1000;
-    let vx=0, vy=0;
-    if(msg.keys.up) vy -= 1;
-    if(msg.keys.down) vy += 1;
-    if(msg.keys.left) vx -= 1;
-    if(msg.keys.right) vx += 1;
-    const mag = Math.hypot(vx,vy) || 1;
-    vx = vx/mag*PLAYER_SPEED;
-    vy = vy/mag*PLAYER_SPEED;
-    player.x = clamp(player.x + vx*secs, 0, WORLD.W);
-    player.y = clamp(player.y + vy*secs, 0, WORLD.H);
-  } else if(msg.type === "chat"){
-    const text = sanitize(String(msg.text || "")).slice(0,200);
-    broadcast({type:"chat", fromName: player.name, text});
-  } else if(msg.type === "place"){
-    const kind = msg.kind;
-    const cost = kind==="wall" ? {wood:5} : {wood:10, stone:5};
-    const enough = Object.keys(cost).every(k=> (player.inv[k]||0) >= cost[k]);
-    if(!enough) return;
-    if(Math.hypot(player.x - msg.x, player.y - msg.y) > ACTION_RANGE) return;
-    for(const k in cost) player.inv[k] -= cost[k];
-    const b = {id: "b"+Date.now()+Math.random().toString(36).slice(2,6), kind: kind==="wall"?"wall":"camp", x: msg.x, y: msg.y, owner: player.id};
-    state.buildings.push(b);
-  } else if(msg.type === "action"){
-    if(msg.action === "click"){
-      const mx = msg.x, my = msg.y;
-      // attack nearest player within small range
-      for(const oid in state.players){
-        if(oid === player.id) continue;
-        const other = state.players[oid];
-        if(Math.hypot(other.x - mx, other.y - my) < 40){
-          other.hp -= 20;
-          if(other.hp <= 0){
-            player.kills = (player.kills || 0) + 1;
-            const dropWood = Math.min(5, other.inv.wood || 0);
-            player.inv.wood += Math.floor(dropWood/2);
-            other.hp = 100;
-            other.inv.wood = Math.max(0, (other.inv.wood || 0) - dropWood);
-            other.x = Math.random()*WORLD.W; other.y = Math.random()*WORLD.H;
-          }
-          return;
-        }
-      }
-      // otherwise harvest node
-      for(const node of state.nodes){
-        if(node.hp > 0 && Math.hypot(node.x - mx, node.y - my) < 50 && Math.hypot(player.x - node.x, player.y - node.y) < ACTION_RANGE){
-          node.hp -= 15;
-          if(node.hp <= 0){
-            if(node.type === "tree"){ player.inv.wood = (player.inv.wood||0) + 5; }
-            if(node.type === "rock"){ player.inv.stone = (player.inv.stone||0) + 3; }
-            if(node.type === "berry"){ player.inv.food = (player.inv.food||0) + 4; }
-            if(node.type === "wood"){ player.inv.wood = (player.inv.wood||0) + 8; }
-            node.respawnAt = Date.now() + 30_000;
-            node.hp = 0;
-          }
-          return;
-        }
-      }
-    } else if(msg.action === "tapMove"){
-      const dx = msg.x - player.x, dy = msg.y - player.y;
-      const dist = Math.hypot(dx,dy);
-      if(dist > 0){
-        const factor = Math.min(1, 40/dist);
-        player.x += dx * factor;
-        player.y += dy * factor;
-      }
+// Attach a connection to a player: resume a session, take over a profile that is already in the world,
+// or create a (possibly saved) player. Sends welcome with a fresh resume token.
+function joinPlayer(client, msg){
+  const room = client.room, state = room.state;
+  // clients without a version predate versioning; both kinds get told why instead of a broken game
+  if(msg.version !== PROTOCOL_VERSION){
+    const reason = `Version mismatch: the server speaks protocol ${PROTOCOL_VERSION} but this page ` +
+      (msg.version ? `speaks ${msg.version}` : "is out of date") + ". Reload the page (Ctrl+F5).";
+    // pages from before the handshake don't know "rejected" and reconnect on close, but every version shows chat
+    client.ws.send(JSON.stringify({type:"chat", fromName:"System", text: reason}));
+    client.ws.send(JSON.stringify({type:"rejected", action:"join", reason}));
+    client.ws.close(4007, "Version mismatch");
+    return;
+  }
+  client.encoding = (msg.encodings || []).find(e => ENCODINGS.includes(e)) || "json";
+  client.binIds = new Map();
+  const token = typeof msg.token === "string" && TOKEN_RE.test(msg.token) ? msg.token : newToken();
+  if(findBan({token, name: sanitize(String(msg.name || "").trim()).slice(0,16)})){
+    client.ws.close(4004, "Banned");
+    return;
+  }
+  // a profile lives in one room at a time: leaving another room for this one drops the old body
+  for(const other of rooms.values()){
+    if(other === room) continue;
+    const old = Object.values(other.state.players).find(o => o.token === token);
+    if(old) removePlayer(old, 4000, "Signed in elsewhere");
+  }
+  let p = null;
+  if(typeof msg.resume === "string" && msg.resume) p = Object.values(state.players).find(o => o.resumeToken === msg.resume) || null;
+  if(!p) p = Object.values(state.players).find(o => o.token === token) || null;
+  const resumed = !!p;
+  if(p){
+    // the player may still be attached elsewhere (another tab, or a socket that has not noticed it died)
+    for(const c of clients){
+      if(c !== client && c.pid === p.id){ c.pid = null; c.ws.close(4000, "Signed in elsewhere"); }
     }
-  } else if(msg.type === "setName"){
-    player.name = String(msg.name || player.name).slice(0,16);
+    p.name = playerName(msg.name, p.name, p.admin);
+    p.disconnectedAt = 0;
+    // the new connection numbers its inputs from scratch
+    p.lastSeq = 0;
+    p.inputQueue = [];
+  } else {
+    p = createPlayer(room, playerName(msg.name, "Player"+nextPlayerId, false), token);
   }
+  p.ip = client.ip;
+  p.resumeToken = newToken();
+  client.pid = p.id;
+  client.snapId = 0; client.acked = 0; client.history = [];
+  // welcome with full state snapshot
+  client.ws.send(JSON.stringify({type:"welcome", id: p.id, token: p.token, resume: p.resumeToken, room: room.name, protocol: {version: PROTOCOL_VERSION, encoding: client.encoding}, state: snapshotState(room, p.id), clans: clansState(room), world: worldInfo(room), tick: Date.now(), tickRate: TICK_RATE, config: clientConfig(), buildings: BUILDINGS, items: ITEMS, mobTypes: MOBS, clock: clockInfo(room), statTypes: STATS, round: roundInfo(room)}));
+  broadcast(room, {type:"chat", fromName:"System", text: resumed ? `${p.name} reconnected` : `${p.name} joined`});
 }
 
-function snapshotState(){
-  const players = {};
+// Remove players whose connection has been gone longer than the resume grace period
+function processDisconnected(room){
+  const state = room.state;
+  const nowt = Date.now();
   for(const id in state.players){
     const p = state.players[id];
-    players[id] = {id: p.id, x: p.x, y: p.y, hp: p.hp, name: p.name, kills: p.kills, inv: p.inv};
+    if(!p.disconnectedAt || nowt - p.disconnectedAt < CONFIG.resumeGraceMs) continue;
+    removePlayer(p);
   }
-  const nodes = state.nodes.map(n => ({id:n.id, type:n.type, x:n.x, y:n.y, hp:n.hp, maxHp:n.maxHp, respawnAt:n.respawnAt}));
-  const buildings = state.buildings.map(b => ({id:b.id, kind:b.kind, x:b.x, y:b.y, owner:b.owner}));
-  return {players, nodes, buildings};
 }
 
-function broadcast(obj){
-  const s = JSON.stringify(obj);
-  wss.clients.forEach(c => {
-    if(c.readyState === WebSocket.OPEN) c.send(s);
-  });
+// Take a player out of the world now (profile kept), closing any connection still attached to it
+function removePlayer(p, code, reason){
+  for(const c of clients){
+    if(c.pid === p.id){ c.pid = null; c.ws.close(code || 1000, reason); }
+  }
+  if(p.token) profiles[p.token] = profileOf(p);
+  delete p.room.state.players[p.id];
+  broadcast(p.room, {type:"playerLeft", id: p.id, name: p.name});
 }
 
-// Respawn nodes when timer hits
-function processRespawns(){
-  const nowt = Date.now();
+// ----- Moderation -----
+// Admins are players who sent /login with ADMIN_TOKEN (set at server start), or HTTP clients sending it
+// as a bearer token. Every admin action, including failed logins, is appended to AUDIT_FILE as JSON lines.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const AUDIT_FILE = process.env.AUDIT_FILE || path.join(__dirname, ".moolite-audit.log");
+const RESERVED_NAME_RE = /^(admin|administrator|moderator|mod|system|server)\b/i;
+const DEFAULT_MUTE_MINUTES = 5;
+
+function clientIp(req){
+  return String(req.socket.remoteAddress || "").replace(/^::ffff:/, "");
+}
+
+function isAdminToken(token){
+  if(!ADMIN_TOKEN || typeof token !== "string") return false;
+  const a = Buffer.from(token), b = Buffer.from(ADMIN_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Sanitized display name; names that pass for staff (or the System chat sender) are kept for admins
+function playerName(raw, fallback, admin){
+  const name = sanitize(String(raw || "").trim()).slice(0,16);
+  if(!name || (!admin && RESERVED_NAME_RE.test(name))) return fallback;
+  return name;
+}
+
+// The first ban matching any of the given name, token or ip
+function findBan({name, token, ip}){
+  const lower = name && name.toLowerCase();
+  return bans.find(b => (lower && b.name && b.name.toLowerCase() === lower) || (token && b.token === token) || (ip && b.ip === ip)) || null;
+}
+
+function isMuted(p){
+  return !!p.token && (mutes[p.token] || 0) > Date.now();
+}
+
+function audit(by, action, params, result){
+  const line = JSON.stringify({at: new Date().toISOString(), by, action, params, result}) + "\n";
+  fs.appendFile(AUDIT_FILE, line, e => { if(e) console.warn("Audit log write failed:", e.message); });
+}
+
+// Online player by id or (case-insensitive) name, in any room
+function findTarget(query){
+  const q = String(query || "").toLowerCase();
+  if(!q) return null;
+  for(const room of rooms.values()){
+    for(const id in room.state.players){
+      const p = room.state.players[id];
+      if(id === query || p.name.toLowerCase() === q) return p;
+    }
+  }
+  return null;
+}
+
+// Run one admin action for chat commands and the HTTP API alike.
+// Returns {error} or {text} describing what happened; both outcomes are audited.
+function adminAction(action, params, by){
+  const result = runAdminAction(action, params || {}, by);
+  audit(by, action, params, result.error ? {error: result.error} : {ok: result.text});
+  return result;
+}
+
+function runAdminAction(action, params, by){
+  const target = params.player !== undefined ? findTarget(params.player) : null;
+  const needTarget = () => target ? null : {error: `No online player "${params.player || ""}"`};
+  const reason = String(params.reason || "").slice(0, 100);
+  if(action === "kick"){
+    if(!target) return needTarget();
+    removePlayer(target, 4005, reason ? "Kicked: " + reason : "Kicked");
+    return {text: `Kicked ${target.name}`};
+  } else if(action === "ban"){
+    // online players are banned by name, token and ip; offline ones by the name or ip given
+    const ban = target ? {name: target.name, token: target.token, ip: target.ip} : {name: params.name ? String(params.name) : undefined, ip: params.ip ? String(params.ip) : undefined};
+    if(!ban.name && !ban.ip) return {error: "Ban needs an online player, a name or an ip"};
+    bans.push(Object.assign(ban, {reason, at: Date.now(), by}));
+    if(target) removePlayer(target, 4004, "Banned");
+    return {text: `Banned ${ban.name || ban.ip}`};
+  } else if(action === "unban"){
+    const before = bans.length;
+    // names match in any case; ips and (mixed-case) profile tokens only as given
+    const q = String(params.name || params.ip || params.player || ""), lower = q.toLowerCase();
+    bans = bans.filter(b => !((b.name && b.name.toLowerCase() === lower) || b.ip === q || b.token === q));
+    return before === bans.length ? {error: `No ban matches "${q}"`} : {text: `Unbanned ${q}`};
+  } else if(action === "mute"){
+    if(!target) return needTarget();
+    const minutes = params.minutes === undefined ? DEFAULT_MUTE_MINUTES : Number(params.minutes);
+    if(!Number.isFinite(minutes) || minutes < 0) return {error: "Minutes must be a number"};
+    if(minutes === 0){ delete mutes[target.token]; return {text: `Unmuted ${target.name}`}; }
+    mutes[target.token] = Date.now() + minutes*60_000;
+    sendTo(target.id, {type:"chat", fromName:"System", text:`You are muted for ${minutes} minute(s)`});
+    return {text: `Muted ${target.name} for ${minutes} minute(s)`};
+  } else if(action === "tp"){
+    if(!target) return needTarget();
+    let x = Number(params.x), y = Number(params.y);
+    if(params.to !== undefined){
+      const dest = findTarget(params.to);
+      if(!dest) return {error: `No online player "${params.to}"`};
+      if(dest.room !== target.room) return {error: `${dest.name} is in another room`};
+      x = dest.x + PLAYER_RADIUS*2; y = dest.y;
+    }
+    if(!Number.isFinite(x) || !Number.isFinite(y)) return {error: "Teleport needs x and y, or a player to go to"};
+    target.x = clamp(x, 0, WORLD.W);
+    target.y = clamp(y, 0, WORLD.H);
+    target.posHistory = [];
+    resolveCollisions(target);
+    return {text: `Teleported ${target.name} to ${Math.round(target.x)}, ${Math.round(target.y)}`};
+  } else if(action === "give"){
+    if(!target) return needTarget();
+    const what = String(params.what || "");
+    const amount = params.amount === undefined ? 1 : Math.floor(Number(params.amount));
+    if(hasOwn(target.inv, what)){
+      if(!Number.isFinite(amount) || amount <= 0) return {error: "Amount must be a positive number"};
+      target.inv[what] += amount;
+      return {text: `Gave ${target.name} ${amount} ${what}`};
+    }
+    if(hasOwn(ITEMS, what)){
+      if(!target.items.includes(what)) target.items.push(what);
+      return {text: `Gave ${target.name} a ${ITEMS[what].label.toLowerCase()}`};
+    }
+    return {error: `Unknown resource or item "${what}"`};
+  } else if(action === "reset"){
+    // the map regenerated from its seed (or a new one), no buildings or clans; everyone in the room respawns
+    // and a round-based mode goes back to its lobby countdown
+    const room = rooms.get(String(params.room || DEFAULT_ROOM).toLowerCase());
+    if(!room) return {error: `No room "${params.room}"`};
+    const seed = params.seed === undefined || params.seed === "" ? room.terrain.seed : String(params.seed).trim().slice(0, 32);
+    if(!seed) return {error: "Invalid seed"};
+    resetWorld(room, seed);
+    room.clans = {};
+    newRound(room, room.round.mode);
+    broadcast(room, {type:"clans", clans: []});
+    broadcast(room, {type:"chat", fromName:"System", text:`The world was reset by an admin (seed ${seed})`});
+    return {text: `Reset room ${room.name} with seed ${seed}`};
+  } else if(action === "mode"){
+    const room = rooms.get(String(params.room || DEFAULT_ROOM).toLowerCase());
+    if(!room) return {error: `No room "${params.room}"`};
+    const mode = String(params.mode || "").toLowerCase();
+    if(!hasOwn(GAME_MODES, mode)) return {error: `Unknown mode "${mode}" (${Object.keys(GAME_MODES).join(", ")})`};
+    newRound(room, mode);
+    broadcast(room, {type:"chat", fromName:"System", text:`${GAME_MODES[mode].emoji} The game mode is now ${GAME_MODES[mode].label} (set by an admin)`});
+    return {text: `Room ${room.name} now plays ${GAME_MODES[mode].label}`};
+  } else if(action === "reload"){
+    const result = reloadConfig();
+    if(result.errors.length) return {error: `Config not reloaded: ${result.errors.join("; ")}`};
+    const parts = [result.changed.length ? `Changed ${result.changed.join(", ")}` : "Nothing changed"];
+    if(result.restart.length) parts.push(`restart the server to apply ${result.restart.join(", ")}`);
+    return {text: parts.join("; ")};
+  }
+  return {error: `Unknown admin action "${action}"`};
+}
+
+// Slash commands typed in chat: /login <token>, then
+// /kick <player> [reason], /ban <player|name|ip> [reason], /unban <name|ip>, /mute <player> [minutes],
+// /tp <player> <x> <y> | /tp <player> <other player>, /give <player> <resource|item> [amount], /reset [seed], /mode <mode>, /reload
+function chatCommand(player, text){
+  const [cmd, ...args] = text.slice(1).trim().split(/\s+/);
+  const reply = msg => sendTo(player.id, {type:"chat", fromName:"System", text: msg});
+  const by = `player:${player.name}(${player.id})`;
+  if(cmd === "login"){
+    const ok = isAdminToken(args[0]);
+    if(ok) player.admin = true;
+    audit(by, "login", {}, ok ? {ok: "logged in"} : {error: "bad token"});
+    return reply(ok ? "Logged in as admin" : (ADMIN_TOKEN ? "Wrong admin token" : "Admin commands are disabled on this server"));
+  }
+  if(!player.admin) return reply(`Unknown command /${cmd} (admin commands need /login <token>)`);
+  const params = {
+    kick: () => ({player: args[0], reason: args.slice(1).join(" ")}),
+    // someone offline is banned by the name (or ip address) given
+    ban: () => Object.assign({player: args[0], reason: args.slice(1).join(" ")}, net.isIP(args[0] || "") ? {ip: args[0]} : {name: args[0]}),
+    unban: () => ({name: args[0]}),
+    mute: () => ({player: args[0], minutes: args[1]}),
+    tp: () => args.length >= 3 ? {player: args[0], x: args[1], y: args[2]} : {player: args[0], to: args[1]},
+    give: () => ({player: args[0], what: args[1], amount: args[2]}),
+    reset: () => ({room: player.room.name, seed: args[0]}),
+    mode: () => ({room: player.room.name, mode: args[0]}),
+    reload: () => ({})
+  }[cmd];
+  if(!params) return reply(`Unknown command /${cmd}`);
+  const result = adminAction(cmd, params(), by);
+  reply(result.error || result.text);
+}
+
+// Validate and place a building; returns a rejection reason, or null on success
+function placeBuilding(player, msg){
+  const state = player.room.state;
+  const kind = msg.kind;
+  const def = hasOwn(BUILDINGS, kind) ? BUILDINGS[kind] : null;
+  if(!def) return "Unknown building type";
+  const x = Number(msg.x), y = Number(msg.y);
+  if(!Number.isFinite(x) || !Number.isFinite(y)) return "Invalid position";
+  const cost = def.cost;
+  const enough = Object.keys(cost).every(k=> (player.inv[k]||0) >= cost[k]);
+  if(!enough) return `Not enough resources to build ${def.label}`;
+  if(Math.hypot(player.x - x, player.y - y) > CONFIG.actionRange) return "Too far away to build there";
+  const h = def.half;
+  if(x - h < 0 || y - h < 0 || x + h > WORLD.W || y + h > WORLD.H) return "Can't build outside the world";
+  if(solidCellsNear(player.room.terrain, x, y, h).some(c => Math.abs(c.ref.x - x) < c.hw + h && Math.abs(c.ref.y - y) < c.hh + h)) return "Can't build on water";
+  const round = player.room.round;
+  if(round.zone && Math.hypot(round.zone.x - x, round.zone.y - y) < round.zone.r + h) return "Can't build in the capture zone";
+  if(def.respawn && round.out.includes(player.id)) return "You're out of this round: no more camps";
+  const box = {ref: {x, y}, hw: h, hh: h};
+  for(const n of state.nodes){
+    if(pushOut({x: n.x, y: n.y}, box, NODE_RADIUS[n.type] || PLAYER_RADIUS)) return "Blocked by a resource";
+  }
+  for(const id in state.players){
+    const p = state.players[id];
+    if(pushOut({x: p.x, y: p.y}, box, PLAYER_RADIUS)) return "Blocked by a player";
+  }
+  for(const b of state.buildings){
+    const bh = buildingHalf(b.kind);
+    if(Math.abs(b.x - x) < bh + h && Math.abs(b.y - y) < bh + h) return "Overlaps another building";
+  }
+  for(const k in cost) player.inv[k] -= cost[k];
+  const b = {id: "b"+Date.now()+Math.random().toString(36).slice(2,6), kind, x, y, owner: player.id, hp: def.hp, maxHp: def.hp};
+  state.buildings.push(b);
+  addStat(player, "placed");
+  return null;
+}
+
+function hasOwn(obj, key){ return Object.prototype.hasOwnProperty.call(obj, key); }
+
+// One swing of the equipped item at a world point: hit an enemy player, else an enemy building, else a node.
+// Clanmates and their buildings are passed over (no friendly fire).
+// Everything must be within the item's range of the wielder; swings are rate limited by its cooldown.
+function swing(player, mx, my){
+  if(!Number.isFinite(mx) || !Number.isFinite(my)) return;
+  const state = player.room.state;
+  const item = ITEMS[player.equipped] || ITEMS.hand;
+  const nowt = Date.now();
+  if(nowt - player.lastSwingAt < item.cooldownMs) return;
+  player.lastSwingAt = nowt;
+  const reach = (e, extra) => Math.hypot(player.x - e.x, player.y - e.y) <= item.range + extra;
+
+  // other players are checked where the attacker saw them: rewound by their latency plus render delay
+  const seenAt = nowt - (Math.min(MAX_REWIND_MS, player.rtt/2) + interpDelayMs);
+  for(const oid in state.players){
+    if(allied(player.room, oid, player.id)) continue;
+    const other = state.players[oid];
+    const pos = positionAt(other, seenAt);
+    if(Math.hypot(pos.x - mx, pos.y - my) < HIT_TOLERANCE && reach(pos, PLAYER_RADIUS)){
+      if(damagePlayer(other, item.damage, player)) return;
+      knockback(other, player, item.knockback);
+      return;
+    }
+  }
+  // mobs are simple enough that they are checked where they are now
+  for(const m of state.mobs){
+    if(Math.hypot(m.x - mx, m.y - my) < HIT_TOLERANCE && reach(m, MOBS[m.kind].radius)){
+      damageMob(player.room, m, item.damage, player);
+      if(m.hp > 0) knockback(m, player, item.knockback, MOBS[m.kind].radius);
+      return;
+    }
+  }
+  for(const b of state.buildings){
+    if(allied(player.room, b.owner, player.id)) continue;
+    const h = buildingHalf(b.kind) + 8;
+    if(Math.abs(b.x - mx) < h && Math.abs(b.y - my) < h && reach(b, buildingHalf(b.kind))){
+      damageBuilding(player.room, b, item.buildingDamage, player);
+      return;
+    }
+  }
+  for(const node of state.nodes){
+    if(node.hp > 0 && Math.hypot(node.x - mx, node.y - my) < 50 && reach(node, NODE_RADIUS[node.type] || 0)){
+      node.hp -= item.harvest;
+      if(node.hp <= 0){
+        const reward = NODE_REWARDS[node.type] || {};
+        const mult = item.yield[node.type] || 1;
+        for(const k in reward){
+          const gained = Math.round(reward[k]*mult);
+          player.inv[k] = (player.inv[k]||0) + gained;
+          if(hasOwn(STATS, k)) addStat(player, k, gained);
+        }
+        node.respawnAt = Date.now() + CONFIG.nodeRespawn*1000;
+        node.hp = 0;
+      }
+      return;
+    }
+  }
+}
+
+// Craft an item from its recipe; returns a rejection reason, or null on success (the new item is equipped)
+function craftItem(player, key){
+  const item = hasOwn(ITEMS, key) ? ITEMS[key] : null;
+  if(!item || !item.recipe) return "Unknown recipe";
+  if(player.items.includes(key)) return `You already have a ${item.label.toLowerCase()}`;
+  const enough = Object.keys(item.recipe).every(k => (player.inv[k]||0) >= item.recipe[k]);
+  if(!enough) return `Not enough resources to craft ${item.label}`;
+  for(const k in item.recipe) player.inv[k] -= item.recipe[k];
+  player.items.push(key);
+  player.equipped = key;
+  return null;
+}
+
+// Where a player was at time t, interpolated from their recorded positions
+function positionAt(p, t){
+  const h = p.posHistory;
+  if(!h.length || t >= h[h.length-1].t) return {x: p.x, y: p.y};
+  if(t <= h[0].t) return {x: h[0].x, y: h[0].y};
+  for(let i=h.length-1; i>0; i--){
+    const a = h[i-1], b = h[i];
+    if(a.t <= t){
+      const k = b.t > a.t ? (t - a.t)/(b.t - a.t) : 1;
+      return {x: a.x + (b.x - a.x)*k, y: a.y + (b.y - a.y)*k};
+    }
+  }
+  return {x: p.x, y: p.y};
+}
+
+function recordPositions(room, nowt){
+  const state = room.state;
+  for(const id in state.players){
+    const p = state.players[id];
+    p.posHistory.push({t: nowt, x: p.x, y: p.y});
+    while(p.posHistory.length && p.posHistory[0].t < nowt - POSITION_HISTORY_MS) p.posHistory.shift();
+  }
+}
+
+// Push a hit player (or mob) away from the attacker, without ending up inside anything solid
+function knockback(target, from, dist, radius){
+  const dx = target.x - from.x, dy = target.y - from.y;
+  const d = Math.hypot(dx, dy) || 1;
+  target.x = clamp(target.x + dx/d*dist, 0, WORLD.W);
+  target.y = clamp(target.y + dy/d*dist, 0, WORLD.H);
+  resolveCollisions(target, radius);
+}
+
+// Spend food to refill hunger and heal; returns a rejection reason, or null on success
+function eat(player){
+  if((player.inv.food || 0) < CONFIG.eatCost) return `Eating needs ${CONFIG.eatCost} food`;
+  if(player.hunger >= 100 && player.hp >= 100) return "You're not hungry";
+  player.inv.food -= CONFIG.eatCost;
+  player.hunger = Math.min(100, player.hunger + CONFIG.eatHunger);
+  player.hp = Math.min(100, player.hp + CONFIG.eatHeal);
+  return null;
+}
+
+// Once a second: hunger drains; fed players regenerate, starving players lose hp
+function processHunger(room){
+  const state = room.state;
+  for(const id in state.players){
+    const p = state.players[id];
+    if(p.disconnectedAt) continue; // bodies waiting for a reconnect neither starve nor heal
+    p.hunger = Math.max(0, p.hunger - CONFIG.hungerDrain*(WEATHER[room.weather.kind].hunger || 1));
+    if(p.hunger <= 0) damagePlayer(p, CONFIG.starveDamage, null);
+    else if(p.hunger > FED_THRESHOLD && p.hp < 100) p.hp = Math.min(100, p.hp + CONFIG.regen);
+  }
+}
+
+// Damage a player; returns true if it killed them. Freshly respawned players are immune for a moment.
+// On death the victim drops part of every resource (the killer, if any, picks up half) and respawns.
+function damagePlayer(target, amount, attacker){
+  if(Date.now() < target.invulnerableUntil) return false;
+  if(attacker && attacker !== target) addStat(attacker, "damage", Math.min(amount, target.hp));
+  target.hp -= amount;
+  if(target.hp > 0) return false;
+  const killer = attacker && attacker !== target ? attacker : null;
+  addStat(target, "deaths");
+  for(const k in target.inv){
+    const lost = Math.floor((target.inv[k] || 0) * CONFIG.deathDrop/100);
+    target.inv[k] -= lost;
+    if(killer) killer.inv[k] = (killer.inv[k] || 0) + Math.floor(lost/2);
+  }
+  if(killer){
+    killer.kills = (killer.kills || 0) + 1;
+    addStat(killer, "kills");
+    record(target.room, {type:"kill", killer: killer.id, killerName: killer.name, victim: target.id, victimName: target.name});
+    sendTo(target.id, {type:"chat", fromName:"System", text:`You were killed by ${killer.name}`});
+  }
+  respawn(target);
+  return true;
+}
+
+function respawn(player){
+  player.lifeSeconds = 0;
+  player.hp = 100;
+  player.hunger = 100;
+  Object.assign(player, respawnPoint(player));
+  player.posHistory = []; // don't let lag compensation interpolate across the teleport
+  player.invulnerableUntil = Date.now() + CONFIG.spawnProtection*1000;
+}
+
+// Free spot farthest from other players, out of a handful of random candidates
+function safeSpawnSpot(player){
+  const state = player.room.state;
+  let best = null, bestDist = -1;
+  for(let i=0; i<8; i++){
+    const spot = findFreeSpot(player.room);
+    let nearest = Infinity;
+    for(const id in state.players){
+      if(id === player.id) continue;
+      nearest = Math.min(nearest, Math.hypot(state.players[id].x - spot.x, state.players[id].y - spot.y));
+    }
+    if(nearest > bestDist){ best = spot; bestDist = nearest; }
+  }
+  return best;
+}
+
+// Next to the player's newest camp, else their clan's newest camp, otherwise a safe spot away from other players
+function respawnPoint(player){
+  const state = player.room.state;
+  const camps = state.buildings.filter(b => BUILDINGS[b.kind].respawn && allied(player.room, b.owner, player.id));
+  const own = camps.filter(b => b.owner === player.id);
+  const camp = own.length ? own[own.length - 1] : camps[camps.length - 1];
+  if(!camp) return safeSpawnSpot(player);
+  const d = buildingHalf(camp.kind) + PLAYER_RADIUS + 4;
+  for(let i=0; i<8; i++){
+    const a = i/8*Math.PI*2;
+    const spot = {x: clamp(camp.x + Math.cos(a)*d, 0, WORLD.W), y: clamp(camp.y + Math.sin(a)*d, 0, WORLD.H)};
+    const blocked = state.buildings.some(b => b !== camp && BUILDINGS[b.kind].solid && pushOut({x: spot.x, y: spot.y}, {ref: b, hw: buildingHalf(b.kind), hh: buildingHalf(b.kind)}, PLAYER_RADIUS));
+    if(!blocked) return spot;
+  }
+  return {x: camp.x, y: clamp(camp.y + d, 0, WORLD.H)};
+}
+
+// Damage a building; destroyed buildings are removed and part of their cost goes back to the owner
+function damageBuilding(room, b, amount, attacker){
+  const state = room.state;
+  b.hp -= amount;
+  if(b.hp > 0) return;
+  state.buildings = state.buildings.filter(o => o !== b);
+  addStat(attacker, "destroyed");
+  record(room, {type:"destroyed", id: b.id, kind: b.kind, owner: b.owner, by: attacker.id, byName: attacker.name});
+  const owner = state.players[b.owner];
+  if(!owner) return;
+  const cost = BUILDINGS[b.kind].cost;
+  for(const k in cost) owner.inv[k] = (owner.inv[k]||0) + Math.floor(cost[k]*CONFIG.refund/100);
+  sendTo(owner.id, {type:"chat", fromName:"System", text:`Your ${BUILDINGS[b.kind].label.toLowerCase()} was destroyed by ${attacker.name}`});
+}
+
+function handleClientMessage(player, msg){
+  if(msg.type === "input"){
+    // inputs are queued and applied by the fixed-rate tick; client dt is ignored
+    const seq = Number(msg.seq);
+    if(!Number.isFinite(seq) || seq <= player.lastSeq) return;
+    const last = player.inputQueue[player.inputQueue.length - 1];
+    if(last && seq <= last.seq) return;
+    const keys = msg.keys || {};
+    player.inputQueue.push({seq, keys: {up: !!keys.up, down: !!keys.down, left: !!keys.left, right: !!keys.right}});
+    if(player.inputQueue.length > MAX_INPUT_QUEUE){
+      // more inputs than real time allows: the client is running fast (or flooding)
+      player.inputQueue.shift();
+      speedViolation(player, "Input queue overflow");
+    }
+  } else if(msg.type === "chat"){
+    const text = sanitize(String(msg.text || "")).slice(0,200);
+    if(text.startsWith("/")) return chatCommand(player, text);
+    if(isMuted(player)){
+      sendTo(player.id, {type:"rejected", action:"chat", reason:`You are muted for ${Math.ceil((mutes[player.token] - Date.now())/60_000)} more minute(s)`});
+      return;
+    }
+    if(msg.channel === "clan"){
+      const clan = clanOf(player.room, player.id);
+      if(!clan){ sendTo(player.id, {type:"rejected", action:"chat", reason:"You're not in a clan"}); return; }
+      for(const id of clan.members) sendTo(id, {type:"chat", channel:"clan", fromName: player.name, text});
+    } else {
+      broadcast(player.room, {type:"chat", fromName: player.name, text});
+    }
+  } else if(msg.type === "clan"){
+    const reason = clanAction(player, msg);
+    if(reason) sendTo(player.id, {type:"rejected", action:"clan", reason});
+  } else if(msg.type === "place"){
+    const reason = placeBuilding(player, msg);
+    if(reason) sendTo(player.id, {type:"rejected", action:"place", kind: msg.kind, reason});
+  } else if(msg.type === "eat"){
+    const reason = eat(player);
+    if(reason) sendTo(player.id, {type:"rejected", action:"eat", reason});
+  } else if(msg.type === "craft"){
+    const reason = craftItem(player, msg.item);
+    if(reason) sendTo(player.id, {type:"rejected", action:"craft", item: msg.item, reason});
+  } else if(msg.type === "equip"){
+    if(player.items.includes(msg.item)) player.equipped = msg.item;
+  } else if(msg.type === "action"){
+    swing(player, Number(msg.x), Number(msg.y));
+  } else if(msg.type === "setName"){
+    const name = playerName(msg.name, "", player.admin);
+    if(name) player.name = name;
+    else sendTo(player.id, {type:"rejected", action:"setName", reason: msg.name.trim() ? "That name is reserved" : "Name can't be empty"});
+  }
+}
+
+// Apply one queued input for a fixed simulation step
+function applyInput(player, input){
+  let vx=0, vy=0;
+  if(input.keys.up) vy -= 1;
+  if(input.keys.down) vy += 1;
+  if(input.keys.left) vx -= 1;
+  if(input.keys.right) vx += 1;
+  const mag = Math.hypot(vx,vy) || 1;
+  const speed = walkSpeed(player.room);
+  vx = vx/mag*speed;
+  vy = vy/mag*speed;
+  player.x = clamp(player.x + vx*TICK_DT, 0, WORLD.W);
+  player.y = clamp(player.y + vy*TICK_DT, 0, WORLD.H);
+  resolveCollisions(player);
+  player.lastSeq = input.seq;
+}
+
+// Fixed-timestep simulation: drain each player's input queue in sequence order.
+// Each moving input spends one step of the movement budget; without budget the rest waits for later ticks.
+function gameTick(room){
+  const state = room.state;
+  const step = walkSpeed(room)*TICK_DT;
+  rebuildSolids(room);
+  for(const id in state.players) if(state.players[id].bot) botThink(state.players[id]);
+  for(const id in state.players){
+    const p = state.players[id];
+    p.moveBudget = Math.min(CONFIG.playerSpeed*MOVE_BURST_S, p.moveBudget + step*SPEED_TOLERANCE);
+    let n = 0;
+    while(p.inputQueue.length && n < MAX_INPUTS_PER_TICK){
+      const k = p.inputQueue[0].keys;
+      const moving = k.up || k.down || k.left || k.right;
+      if(moving && p.moveBudget < step) break;
+      if(moving) p.moveBudget -= step;
+      applyInput(p, p.inputQueue.shift());
+      n++;
+    }
+  }
+  processMobs(room);
+  applyTouchDamage(room);
+  recordPositions(room, Date.now());
+}
+
+// Buildings with touchDamage hurt players outside the owner's clan standing against them (not bodies waiting for a reconnect)
+function applyTouchDamage(room){
+  const {state, solids} = room;
+  const nowt = Date.now();
+  for(const id in state.players){
+    const p = state.players[id];
+    if(p.disconnectedAt || (p.touchHitAt && nowt < p.touchHitAt)) continue;
+    const reach = PLAYER_RADIUS + HASH_CELL/2;
+    for(const c of solids.query(p.x - reach, p.y - reach, p.x + reach, p.y + reach)){
+      const def = c.building;
+      if(!def || !def.touchDamage || allied(room, c.ref.owner, p.id)) continue;
+      // players are pushed out of solids, so contact means within a couple of pixels of the surface
+      if(!pushOut({x: p.x, y: p.y}, c, PLAYER_RADIUS + 2)) continue;
+      p.touchHitAt = nowt + def.touchEveryMs;
+      damagePlayer(p, def.touchDamage, state.players[c.ref.owner]);
+      break;
+    }
+  }
+}
+
+// Once a second: windmill income and campfire healing
+function processBuildings(room){
+  const state = room.state;
+  const nowt = Date.now();
+  for(const b of state.buildings){
+    const def = BUILDINGS[b.kind];
+    if(def.produce && state.players[b.owner]){
+      if(!b.nextProduceAt) b.nextProduceAt = nowt + def.produceEveryMs;
+      if(nowt >= b.nextProduceAt){
+        const owner = state.players[b.owner];
+        for(const k in def.produce) owner.inv[k] = (owner.inv[k]||0) + def.produce[k];
+        b.nextProduceAt = nowt + def.produceEveryMs;
+      }
+    }
+    if(def.healPerSec){
+      for(const id in state.players){
+        const p = state.players[id];
+        if(p.hp < 100 && Math.hypot(p.x - b.x, p.y - b.y) <= def.healRadius) p.hp = Math.min(100, p.hp + def.healPerSec);
+      }
+    }
+  }
+}
+
+// ----- Mobs -----
+// Cows wander and run from nearby players; wolves wander until a player comes within aggroRadius,
+// then chase and bite. Killed mobs drop resources for the killer and are replaced after mobRespawn seconds.
+function spawnMob(room, kind){
+  const def = MOBS[kind];
+  let spot = findFreeSpot(room);
+  const players = Object.values(room.state.players);
+  for(let i=0; i<10 && players.some(p => Math.hypot(p.x - spot.x, p.y - spot.y) < MOB_SPAWN_CLEARANCE); i++) spot = findFreeSpot(room);
+  const m = {id: "m"+(room.nextMobId++), kind, room, x: spot.x, y: spot.y, hp: def.hp, maxHp: def.hp,
+    heading: Math.random()*Math.PI*2, nextTurnAt: 0, target: null, fleeFrom: null, fleeUntil: 0, nextBiteAt: 0};
+  room.state.mobs.push(m);
+  return m;
+}
+
+function processMobRespawns(room){
+  const nowt = Date.now();
+  room.mobRespawns = room.mobRespawns.filter(r => {
+    if(r.at > nowt) return true;
+    spawnMob(room, r.kind);
+    return false;
+  });
+}
+
+// Nearest player within radius of e, if any; bodies waiting for a reconnect are left alone
+function nearestPlayer(room, e, radius){
+  let best = null, bestDist = radius;
+  for(const id in room.state.players){
+    const p = room.state.players[id];
+    if(p.disconnectedAt) continue;
+    const d = Math.hypot(p.x - e.x, p.y - e.y);
+    if(d < bestDist){ best = p; bestDist = d; }
+  }
+  return best;
+}
+
+// Move a mob along an angle for one tick at a share of its speed, sliding around obstacles
+function moveMob(m, angle, speedShare){
+  const def = MOBS[m.kind];
+  m.x = clamp(m.x + Math.cos(angle)*def.speed*speedShare*TICK_DT, 0, WORLD.W);
+  m.y = clamp(m.y + Math.sin(angle)*def.speed*speedShare*TICK_DT, 0, WORLD.H);
+  resolveCollisions(m, def.radius);
+}
+
+function processMobs(room){
+  const state = room.state;
+  const nowt = Date.now();
+  for(const m of state.mobs){
+    const def = MOBS[m.kind];
+    if(def.fleeRadius){
+      const from = nowt < m.fleeUntil ? state.players[m.fleeFrom] : nearestPlayer(room, m, def.fleeRadius);
+      if(from){
+        moveMob(m, Math.atan2(m.y - from.y, m.x - from.x), 1);
+        continue;
+      }
+    }
+    if(def.aggroRadius){
+      // keep chasing whoever hit us, otherwise the nearest player in range
+      let prey = m.target && state.players[m.target];
+      if(!prey || prey.disconnectedAt || Math.hypot(prey.x - m.x, prey.y - m.y) > def.aggroRadius*1.5) prey = nearestPlayer(room, m, def.aggroRadius);
+      m.target = prey ? prey.id : null;
+      if(prey){
+        const gap = Math.hypot(prey.x - m.x, prey.y - m.y) - def.radius - PLAYER_RADIUS;
+        if(gap > def.attackRange) moveMob(m, Math.atan2(prey.y - m.y, prey.x - m.x), 1);
+        else if(nowt >= m.nextBiteAt){
+          m.nextBiteAt = nowt + def.attackEveryMs;
+          if(damagePlayer(prey, def.damage, null)){
+            sendTo(prey.id, {type:"chat", fromName:"System", text:`You were killed by a ${def.label.toLowerCase()}`});
+            m.target = null;
+          }
+        }
+        continue;
+      }
+    }
+    // wander: amble in a direction, turning (or stopping) now and then
+    if(nowt >= m.nextTurnAt){
+      m.heading = Math.random() < 0.3 ? null : Math.random()*Math.PI*2;
+      m.nextTurnAt = nowt + 1500 + Math.random()*3000;
+    }
+    if(m.heading !== null) moveMob(m, m.heading, 0.3);
+  }
+}
+
+// Damage a mob; cows bolt from the attacker and wolves turn on them. Dead mobs drop resources for the killer.
+function damageMob(room, m, amount, attacker){
+  const def = MOBS[m.kind];
+  addStat(attacker, "damage", Math.min(amount, m.hp));
+  m.hp -= amount;
+  if(m.hp > 0){
+    m.target = attacker.id;
+    m.fleeFrom = attacker.id;
+    m.fleeUntil = Date.now() + 3000;
+    return;
+  }
+  room.state.mobs = room.state.mobs.filter(o => o !== m);
+  if(!m.night) room.mobRespawns.push({kind: m.kind, at: Date.now() + CONFIG.mobRespawn*1000});
+  addStat(attacker, "mobs");
+  for(const k in def.drops){
+    attacker.inv[k] = (attacker.inv[k]||0) + def.drops[k];
+    if(hasOwn(STATS, k)) addStat(attacker, k, def.drops[k]);
+  }
+}
+
+function mobCounts(room){
+  const counts = {};
+  for(const kind in MOBS) counts[kind] = 0;
+  for(const m of room.state.mobs) counts[m.kind]++;
+  return counts;
+}
+
+// ----- World clock and weather -----
+function timeOfDay(room){
+  return ((Date.now() - room.clockStart) / DAY_LENGTH_MS) % 1;
+}
+// Night is when the sun is below the horizon (between sunset and sunrise)
+function isNight(room){
+  return Math.cos((timeOfDay(room) - 0.5) * Math.PI*2) < 0;
+}
+// Clock sent with every snapshot: time of day, day number (from 1) and weather
+function clockState(room){
+  const elapsed = (Date.now() - room.clockStart) / DAY_LENGTH_MS;
+  return {time: Math.round((elapsed % 1)*10000)/10000, day: Math.floor(elapsed) + 1, weather: room.weather.kind};
+}
+// Clock settings and the current clock, for welcome and recording headers
+function clockInfo(room){
+  return {dayLengthMs: DAY_LENGTH_MS, playerLight: PLAYER_LIGHT, weatherTypes: WEATHER, ...clockState(room)};
+}
+function walkSpeed(room){
+  return CONFIG.playerSpeed * (WEATHER[room.weather.kind].speed || 1);
+}
+
+function processWeather(room){
+  if(Date.now() < room.weather.until) return;
+  const chances = {};
+  for(const kind in WEATHER) chances[kind] = WEATHER[kind].chance;
+  const kind = weightedPick(Math.random, chances);
+  const changed = kind !== room.weather.kind;
+  room.weather = {kind, until: Date.now() + WEATHER_MIN_MS + Math.random()*(WEATHER_MAX_MS - WEATHER_MIN_MS)};
+  if(changed){
+    const text = kind === "rain" ? "It starts to rain: walking is slower" : kind === "snow" ? "It starts to snow: you'll get hungry faster" : "The sky clears up";
+    broadcast(room, {type:"chat", fromName:"System", text: `${WEATHER[kind].emoji} ${text}`});
+  }
+}
+
+// More wolves come out at night, one per second up to the night count; at sunrise the extras slip away
+// as soon as they aren't chasing anyone
+function processNightMobs(room){
+  const state = room.state;
+  if(isNight(room)){
+    const wolves = state.mobs.filter(m => m.kind === "wolf").length + room.mobRespawns.filter(r => r.kind === "wolf").length;
+    if(wolves < MOB_COUNTS.wolf*NIGHT_WOLF_FACTOR) spawnMob(room, "wolf").night = true;
+  } else {
+    state.mobs = state.mobs.filter(m => !m.night || m.target);
+  }
+}
+
+// ----- Game modes and rounds -----
+// Every room runs one mode (MODE sets the default, ROOMS=main,arena:koth one per startup room, the lobby one per
+// new room, /mode changes it). Sandbox is the endless world; the others play rounds:
+// waiting (lobby countdown, free play) -> [build] -> active -> results -> the world is regenerated -> waiting ...
+//  roundMs: round length (the roundLength setting overrides it)   goal: score that ends the round early
+//  scoreStats: stats that add to the score while the round runs     unit: what the score counts
+//  buildMs: build phase before the round (last camp standing)       zoneRadius: capture zone (king of the hill)
+const GAME_MODES = {
+  sandbox:  {label:"Sandbox", emoji:"🏕️", description:"No rounds: gather, build and fight at your own pace"},
+  gather:   {label:"Gathering race", emoji:"🪵", roundMs: 5*60_000, scoreStats:["wood","stone","food"], unit:"resources", description:"Gather the most resources before time runs out"},
+  lastcamp: {label:"Last camp standing", emoji:"🏠", roundMs: 10*60_000, buildMs: 2*60_000, unit:"camps", description:"Build camps, then keep one standing: whoever has no camp left is out"},
+  koth:     {label:"King of the hill", emoji:"👑", roundMs: 6*60_000, goal: 90, zoneRadius: 160, unit:"s", description:"Hold the capture zone with no enemies in it: first to 90 seconds wins"}
+};
+const DEFAULT_MODE = CONFIG.mode;
+const ROUND_COUNTDOWN_MS = 30_000; // lobby countdown, only running while a (human) player is in the room
+const ROUND_RESULTS_MS = 15_000; // results stay up this long before the world is regenerated
+
+// Back to the lobby countdown of a mode (the world is left as it is)
+function newRound(room, mode){
+  room.round = {mode, phase: mode === "sandbox" ? "open" : "waiting", endsAt: Date.now() + ROUND_COUNTDOWN_MS,
+    scores: {}, out: [], leader: null, holder: "", contested: false, zone: GAME_MODES[mode].zoneRadius ? placeZone(room, GAME_MODES[mode].zoneRadius) : null, results: null};
+  broadcast(room, {type:"round", round: roundInfo(room)});
+}
+
+// Capture zone on dry land, as close to the middle of the map as possible, cleared of resources
+function placeZone(room, r){
+  let spot = {x: WORLD.W/2, y: WORLD.H/2};
+  search: for(let dist=0; dist<Math.max(WORLD.W, WORLD.H)/2; dist+=TERRAIN_CELL){
+    for(let i=0; i<16; i++){
+      const a = i/16*Math.PI*2;
+      const x = clamp(WORLD.W/2 + Math.cos(a)*dist, r, WORLD.W - r), y = clamp(WORLD.H/2 + Math.sin(a)*dist, r, WORLD.H - r);
+      if(!onSolidTerrain(room.terrain, x, y, r)){ spot = {x, y}; break search; }
+    }
+  }
+  room.state.nodes = room.state.nodes.filter(n => Math.hypot(n.x - spot.x, n.y - spot.y) > r);
+  return {x: spot.x, y: spot.y, r};
+}
+
+function roundLength(mode){
+  return CONFIG.roundLength*1000 || GAME_MODES[mode].roundMs;
+}
+
+// Mode catalog, current mode/phase, capture zone and last results, for welcome, recording headers and round messages
+function roundInfo(room){
+  const r = room.round;
+  return {modes: GAME_MODES, mode: r.mode, phase: r.phase, zone: r.zone, results: r.results};
+}
+
+// Round progress sent with every snapshot: time left in the phase (s), your score and the leader's,
+// and who holds the capture zone
+function roundState(room, viewerId){
+  const r = room.round;
+  const mine = viewerId && r.scores[viewerId];
+  return {mode: r.mode, phase: r.phase, left: r.phase === "open" ? 0 : Math.max(0, Math.ceil((r.endsAt - Date.now())/1000)),
+    score: mine ? mine.score : 0, leader: r.leader ? r.leader.name : "", best: r.leader ? r.leader.score : 0, holder: r.holder, contested: r.contested};
+}
+
+function addRoundScore(p, n){
+  const s = p.room.round.scores[p.id] || (p.room.round.scores[p.id] = {name: p.name, score: 0});
+  s.name = p.name;
+  s.score += n;
+}
+
+// Called from addStat: stats the mode scores (gathering race) count while the round runs
+function roundStat(p, key, n){
+  const r = p.room.round;
+  if(r.phase === "active" && (GAME_MODES[r.mode].scoreStats || []).includes(key)) addRoundScore(p, n);
+}
+
+// A fresh start for everyone: no buildings, resources regrown, empty inventories, players respawned
+function startRound(room){
+  const r = room.round, mode = GAME_MODES[r.mode];
+  const state = room.state;
+  state.buildings = [];
+  for(const n of state.nodes){ n.hp = n.maxHp; n.respawnAt = 0; }
+  for(const id in state.players){
+    const p = state.players[id];
+    p.inv = {wood:0, stone:0, food:0};
+    p.items = ["hand"];
+    p.equipped = "hand";
+    respawn(p);
+  }
+  r.scores = {};
+  r.phase = mode.buildMs ? "build" : "active";
+  r.endsAt = Date.now() + (mode.buildMs || roundLength(r.mode));
+  broadcast(room, {type:"round", round: roundInfo(room)});
+  broadcast(room, {type:"chat", fromName:"System", text:`🏁 ${mode.emoji} ${mode.label} has started: ${mode.description}`});
+}
+
+// Once a second: run the countdowns, score the round and check its win condition
+function processRound(room){
+  const r = room.round, mode = GAME_MODES[r.mode], nowt = Date.now();
+  const players = Object.values(room.state.players).filter(p => !p.disconnectedAt);
+  if(r.phase === "open") return;
+  if(r.phase === "waiting"){
+    if(!players.some(p => !p.bot)) r.endsAt = nowt + ROUND_COUNTDOWN_MS;
+    else if(nowt >= r.endsAt) startRound(room);
+    return;
+  }
+  if(r.phase === "results"){
+    if(nowt >= r.endsAt){
+      resetWorld(room, CONFIG.worldSeed || randomSeed());
+      newRound(room, r.mode);
+    }
+    return;
+  }
+  let over = false;
+  if(r.mode === "koth"){
+    // everyone in the zone scores while they are all on the same side
+    const inside = players.filter(p => Math.hypot(p.x - r.zone.x, p.y - r.zone.y) < r.zone.r);
+    const sides = new Set(inside.map(p => { const c = clanOf(room, p.id); return c ? "clan:" + c.tag : p.id; }));
+    r.contested = sides.size > 1;
+    const clan = inside.length && clanOf(room, inside[0].id);
+    r.holder = sides.size === 1 ? (clan ? `[${clan.tag}]` : inside[0].name) : "";
+    if(r.phase === "active" && sides.size === 1) for(const p of inside) addRoundScore(p, 1);
+    over = Object.values(r.scores).some(s => s.score >= mode.goal);
+  } else if(r.mode === "lastcamp"){
+    // the score is the number of camps standing; after the build phase a player without one is out
+    for(const p of players){
+      const camps = room.state.buildings.filter(b => b.owner === p.id && BUILDINGS[b.kind].respawn).length;
+      addRoundScore(p, camps - (r.scores[p.id] ? r.scores[p.id].score : 0));
+      if(r.phase === "active" && !camps && !r.out.includes(p.id)){
+        r.out.push(p.id);
+        broadcast(room, {type:"chat", fromName:"System", text:`💥 ${p.name} has no camp left and is out`});
+      }
+    }
+    const standing = players.filter(p => !r.out.includes(p.id));
+    over = r.phase === "active" && Object.keys(r.scores).length > 1 && standing.length <= 1;
+  }
+  const ranked = Object.values(r.scores).sort((a, b) => b.score - a.score);
+  r.leader = ranked[0] && ranked[0].score > 0 ? ranked[0] : null;
+  if(nowt < r.endsAt && !over) return;
+  if(r.phase === "build"){
+    r.phase = "active";
+    r.endsAt = nowt + roundLength(r.mode);
+    broadcast(room, {type:"round", round: roundInfo(room)});
+    broadcast(room, {type:"chat", fromName:"System", text:"🏠 Build time is over: anyone without a camp is out"});
+    return;
+  }
+  endRound(room);
+}
+
+// Rank the players, announce the winner and show the results until the world is regenerated
+function endRound(room){
+  const r = room.round, mode = GAME_MODES[r.mode];
+  r.results = Object.keys(r.scores).map(id => ({id, name: r.scores[id].name, score: r.scores[id].score}))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name)).slice(0, 10);
+  r.phase = "results";
+  r.endsAt = Date.now() + ROUND_RESULTS_MS;
+  r.holder = "";
+  r.contested = false;
+  const [first, second] = r.results;
+  const unit = s => `${s.score} ${mode.unit}`;
+  let text;
+  if(!first || first.score <= 0) text = "no winner this time";
+  else if(second && second.score === first.score) text = `a draw between ${r.results.filter(s => s.score === first.score).map(s => s.name).join(", ")} (${unit(first)})`;
+  else {
+    const runnersUp = r.results.slice(1, 3).filter(s => s.score > 0).map((s, i) => ` · ${i + 2}. ${s.name} ${unit(s)}`).join("");
+    text = `${first.name} wins with ${unit(first)}${runnersUp}`;
+    const winner = room.state.players[first.id];
+    if(winner) addStat(winner, "wins");
+  }
+  broadcast(room, {type:"round", round: roundInfo(room)});
+  broadcast(room, {type:"chat", fromName:"System", text:`🏆 ${mode.label} is over: ${text}`});
+}
+
+// ----- Bots -----
+// Bot players are ordinary players without a connection: every tick their brain queues one input and
+// sends actions through handleClientMessage, so they obey the same movement, range, cooldown and cost rules.
+const BOT_NAMES = ["Bessie", "Clover", "Daisy", "Buttercup", "Angus", "Brisket", "Marigold", "Ferdinand"];
+const BOT_AGGRO_RADIUS = 260; // bots fight enemies (players and wolves) this close
+const BOT_MAX_BUILDINGS = 6;
+
+function createBot(room){
+  const taken = new Set(Object.values(room.state.players).map(p => p.name));
+  const name = BOT_NAMES.find(n => !taken.has(n)) || "Bot"+nextPlayerId;
+  const p = createPlayer(room, name, null);
+  p.bot = true;
+  p.brain = {seq: 0, target: null, nextThinkAt: 0, lastX: p.x, lastY: p.y, detourUntil: 0, detour: 0};
+  return p;
+}
+
+// The entity a bot target refers to, if it still exists
+function botTargetEntity(room, t){
+  if(!t) return null;
+  if(t.kind === "player"){
+    const p = room.state.players[t.id];
+    return p && !p.disconnectedAt ? p : null;
+  }
+  if(t.kind === "mob") return room.state.mobs.find(m => m.id === t.id) || null;
+  const node = room.state.nodes.find(n => n.id === t.id);
+  return node && node.hp > 0 ? node : null;
+}
+
+// Fight a nearby enemy or wolf, hunt a cow when short of food, else harvest whatever is needed most
+function pickBotTarget(bot){
+  const room = bot.room, state = room.state;
+  const dist = e => Math.hypot(e.x - bot.x, e.y - bot.y);
+  if(bot.hp > 40){
+    const enemies = Object.values(state.players).filter(p => !p.disconnectedAt && !allied(room, p.id, bot.id) && Date.now() >= p.invulnerableUntil && dist(p) < BOT_AGGRO_RADIUS);
+    enemies.sort((a, b) => dist(a) - dist(b));
+    if(enemies.length) return {kind:"player", id: enemies[0].id};
+  }
+  const mobs = state.mobs.filter(m => (m.kind === "wolf" && dist(m) < BOT_AGGRO_RADIUS) || (m.kind === "cow" && bot.inv.food < 10 && dist(m) < BOT_AGGRO_RADIUS*1.5));
+  mobs.sort((a, b) => dist(a) - dist(b));
+  if(mobs.length) return {kind:"mob", id: mobs[0].id};
+  const want = bot.inv.wood < 30 ? ["tree","wood"] : bot.inv.stone < 15 ? ["rock"] : bot.inv.food < 10 ? ["berry"] : ["tree","wood","rock"];
+  let best = null;
+  for(const n of state.nodes){
+    if(n.hp > 0 && want.includes(n.type) && (!best || dist(n) < dist(best))) best = n;
+  }
+  return best ? {kind:"node", id: best.id} : null;
+}
+
+// Best owned item for the job: harvest multiplier for nodes, damage for fighting
+function botPickItem(bot, target){
+  const score = k => {
+    const item = ITEMS[k];
+    return target && target.type ? item.harvest * (item.yield[target.type] || 1) : item.damage;
+  };
+  return bot.items.reduce((best, k) => score(k) > score(best) ? k : best, "hand");
+}
+
+function botThink(bot){
+  const room = bot.room, brain = bot.brain;
+  const nowt = Date.now();
+  const act = msg => handleClientMessage(bot, msg);
+  if(nowt >= brain.nextThinkAt){
+    brain.nextThinkAt = nowt + 250;
+    if(bot.hunger < 60) act({type:"eat"});
+    for(const key of ["axe", "pickaxe", "sword"]) if(!bot.items.includes(key)) act({type:"craft", item: key});
+    if(bot.inv.wood >= 25 && Math.random() < 0.05 && room.state.buildings.filter(b => b.owner === bot.id).length < BOT_MAX_BUILDINGS){
+      const a = Math.random()*Math.PI*2;
+      act({type:"place", kind:"wall", x: bot.x + Math.cos(a)*60, y: bot.y + Math.sin(a)*60});
+    }
+    const target = botTargetEntity(room, brain.target);
+    if(!target || Math.random() < 0.1) brain.target = pickBotTarget(bot);
+    // barely moved while trying to: walk sideways for a moment
+    if(brain.moving && Math.hypot(bot.x - brain.lastX, bot.y - brain.lastY) < 5){
+      brain.detourUntil = nowt + 700;
+      brain.detour = Math.random()*Math.PI*2;
+    }
+    brain.lastX = bot.x; brain.lastY = bot.y;
+  }
+  const target = botTargetEntity(room, brain.target);
+  const keys = {up: false, down: false, left: false, right: false};
+  brain.moving = false;
+  if(target){
+    const item = botPickItem(bot, target);
+    if(item !== bot.equipped) act({type:"equip", item});
+    const reachOf = target.type ? NODE_RADIUS[target.type] || 0 : target.kind ? MOBS[target.kind].radius : PLAYER_RADIUS;
+    const gap = Math.hypot(target.x - bot.x, target.y - bot.y) - reachOf;
+    if(gap > ITEMS[bot.equipped].range*0.8 || nowt < brain.detourUntil){
+      const angle = nowt < brain.detourUntil ? brain.detour : Math.atan2(target.y - bot.y, target.x - bot.x);
+      const cx = Math.cos(angle), cy = Math.sin(angle);
+      keys.right = cx > 0.38; keys.left = cx < -0.38; keys.down = cy > 0.38; keys.up = cy < -0.38;
+      brain.moving = true;
+    } else {
+      act({type:"action", action:"click", x: target.x, y: target.y});
+    }
+  }
+  act({type:"input", seq: ++brain.seq, keys});
+}
+
+// ----- Snapshot serialization -----
+function round2(v){ return Math.round(v*100)/100; }
+// hp goes out as a whole number on both encodings (regen and heals make it fractional); rounded up,
+// so anyone still alive shows at least 1
+function wireHp(hp){ return Math.ceil(hp); }
+
+// private fields (inventory, input ack) are only sent to the player they belong to
+function serializePlayer(p, self){
+  const o = {id: p.id, x: round2(p.x), y: round2(p.y), hp: wireHp(p.hp), name: p.name, kills: p.kills, hunger: Math.round(p.hunger), equipped: p.equipped, invuln: Date.now() < p.invulnerableUntil};
+  if(p.bot) o.bot = true;
+  // copies, so delta baselines are not mutated along with the live player
+  if(self){ o.inv = Object.assign({}, p.inv); o.items = p.items.slice(); o.seq = p.lastSeq; }
+  return o;
+}
+function serializeNode(n){
+  return {id:n.id, type:n.type, x:round2(n.x), y:round2(n.y), hp:wireHp(n.hp), maxHp:n.maxHp, respawnAt:n.respawnAt};
+}
+function serializeBuilding(b){
+  return {id:b.id, kind:b.kind, x:b.x, y:b.y, owner:b.owner, hp:wireHp(b.hp), maxHp:b.maxHp};
+}
+function serializeMob(m){
+  return {id:m.id, kind:m.kind, x:round2(m.x), y:round2(m.y), hp:wireHp(m.hp), maxHp:m.maxHp};
+}
+
+// Full world state (used for welcome); only viewerId's own entry carries private fields
+function snapshotState(room, viewerId){
+  const state = room.state;
+  const players = {};
+  for(const id in state.players){
+    const p = state.players[id];
+    players[id] = serializePlayer(p, id === viewerId);
+  }
+  const nodes = state.nodes.map(serializeNode);
+  const buildings = state.buildings.map(serializeBuilding);
+  const mobs = state.mobs.map(serializeMob);
+  return {players, nodes, buildings, mobs};
+}
+
+// Entities within the area of interest around a player, keyed by id
+function visibleEntities(viewer){
+  const state = viewer.room.state;
+  const near = (e) => Math.abs(e.x - viewer.x) <= AOI_HALF_W && Math.abs(e.y - viewer.y) <= AOI_HALF_H;
+  const players = {}, nodes = {}, buildings = {}, mobs = {};
+  for(const id in state.players){
+    const p = state.players[id];
+    if(p === viewer || near(p)) players[id] = serializePlayer(p, p === viewer);
+  }
+  for(const n of state.nodes) if(near(n)) nodes[n.id] = serializeNode(n);
+  for(const b of state.buildings) if(near(b)) buildings[b.id] = serializeBuilding(b);
+  for(const m of state.mobs) if(near(m)) mobs[m.id] = serializeMob(m);
+  return {players, nodes, buildings, mobs};
+}
+
+function sameValue(a, b){
+  if(a === b) return true;
+  if(a && b && typeof a === "object" && typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+  return false;
+}
+
+// Fields of cur that differ from prev (id always kept); null when nothing changed
+function diffEntity(prev, cur){
+  if(!prev) return cur;
+  let out = null;
+  for(const k in cur){
+    if(!sameValue(prev[k], cur[k])){
+      if(!out) out = {id: cur.id};
+      out[k] = cur[k];
+    }
+  }
+  return out;
+}
+
+// Changed entities plus ids that left the area of interest, relative to a baseline
+function diffGroup(prev, cur){
+  const changed = [], removed = [];
+  for(const id in cur){
+    const d = diffEntity(prev && prev[id], cur[id]);
+    if(d) changed.push(d);
+  }
+  if(prev) for(const id in prev) if(!cur[id]) removed.push(id);
+  return {changed, removed};
+}
+
+// Build the next state message for one client: a keyframe, or a delta against its last acked snapshot
+function buildClientSnapshot(client, player, tick){
+  const cur = visibleEntities(player);
+  const base = client.history.find(h => h.id === client.acked);
+  const keyframe = !base || client.sinceKey >= KEYFRAME_EVERY;
+  const ref = keyframe ? null : base;
+  const players = diffGroup(ref && ref.players, cur.players);
+  const nodes = diffGroup(ref && ref.nodes, cur.nodes);
+  const buildings = diffGroup(ref && ref.buildings, cur.buildings);
+  const mobs = diffGroup(ref && ref.mobs, cur.mobs);
+
+  const id = ++client.snapId;
+  client.sinceKey = keyframe ? 0 : client.sinceKey + 1;
+  client.history.push({id, sentAt: Date.now(), players: cur.players, nodes: cur.nodes, buildings: cur.buildings, mobs: cur.mobs});
+  // baselines older than the acked one can never be referenced again
+  client.history = client.history.filter(h => h.id >= client.acked).slice(-SNAP_HISTORY);
+
+  const playersOut = {};
+  for(const p of players.changed) playersOut[p.id] = p;
+  const msg = {type:"state", id, base: keyframe ? 0 : base.id, tick, clock: clockState(player.room), round: roundState(player.room, player.id), players: playersOut, nodes: nodes.changed, buildings: buildings.changed, mobs: mobs.changed};
+  if(!keyframe && (players.removed.length || nodes.removed.length || buildings.removed.length || mobs.removed.length)){
+    msg.removed = {players: players.removed, nodes: nodes.removed, buildings: buildings.removed, mobs: mobs.removed};
+  }
+  return msg;
+}
+
+// ----- Protocol versions and binary encoding -----
+// Clients announce {version, encodings} in join. With "binary", state messages (server -> client) and
+// input messages (client -> server) travel as compact binary frames and everything else stays JSON text;
+// with "json" every message is JSON (the fallback, and handy for debugging: add ?json=1 to the page URL).
+const PROTOCOL_VERSION = 5;
+const ENCODINGS = ["binary", "json"];
+const BIN_STATE = 1, BIN_INPUT = 2; // first byte of a binary frame
+const POS_SCALE = 4; // positions travel as integers in quarter pixels
+// Entity fields in wire order (mirrored in script.js); a bitmask says which are present.
+//  u: unsigned varint   s: zigzag varint   pos: quantized position   str: utf-8 string   bool: one byte
+//  inv: count + (str key, u value) pairs   list: count + str values
+// Fields not listed here still arrive, as one JSON string behind the mask bit after the last listed field.
+const BIN_FIELDS = {
+  players:   [["x","pos"],["y","pos"],["hp","s"],["name","str"],["kills","u"],["hunger","u"],["equipped","str"],["invuln","bool"],["inv","inv"],["items","list"],["seq","u"],["bot","bool"]],
+  nodes:     [["type","str"],["x","pos"],["y","pos"],["hp","s"],["maxHp","u"],["respawnAt","u"]],
+  buildings: [["kind","str"],["x","pos"],["y","pos"],["owner","str"],["hp","s"],["maxHp","u"]],
+  mobs:      [["kind","str"],["x","pos"],["y","pos"],["hp","s"],["maxHp","u"]]
+};
+
+// Growable byte buffer with varint and string writers
+function createWriter(){
+  let buf = Buffer.allocUnsafe(1024), len = 0;
+  const ensure = n => {
+    if(len + n <= buf.length) return;
+    const bigger = Buffer.allocUnsafe(Math.max(buf.length*2, len + n));
+    buf.copy(bigger, 0, 0, len);
+    buf = bigger;
+  };
+  const w = {
+    u8(v){ ensure(1); buf[len++] = v; },
+    // arithmetic rather than bit ops so values above 2^31 (timestamps) survive
+    uv(v){
+      v = Math.max(0, Math.round(v));
+      ensure(8);
+      while(v >= 128){ buf[len++] = (v % 128) | 128; v = Math.floor(v/128); }
+      buf[len++] = v;
+    },
+    sv(v){ v = Math.round(v); w.uv(v < 0 ? -v*2 - 1 : v*2); },
+    str(s){
+      const b = Buffer.from(String(s));
+      w.uv(b.length);
+      ensure(b.length);
+      b.copy(buf, len);
+      len += b.length;
+    },
+    done(){ return buf.subarray(0, len); }
+  };
+  return w;
+}
+
+function writeField(w, type, v){
+  if(type === "u") w.uv(v);
+  else if(type === "s") w.sv(v);
+  else if(type === "pos") w.uv(v*POS_SCALE);
+  else if(type === "str") w.str(v);
+  else if(type === "bool") w.u8(v ? 1 : 0);
+  else if(type === "inv"){
+    const keys = Object.keys(v);
+    w.uv(keys.length);
+    for(const k of keys){ w.str(k); w.uv(v[k]); }
+  } else if(type === "list"){
+    w.uv(v.length);
+    for(const item of v) w.str(item);
+  }
+}
+
+// Entity ids are numbered per connection: the first time an id is sent it goes out as 0 + the string,
+// afterwards as its index + 1. Frames arrive in order, so the client's table always keeps up.
+function writeId(w, client, id){
+  const k = client.binIds.get(id);
+  if(k !== undefined){ w.uv(k + 1); return; }
+  client.binIds.set(id, client.binIds.size);
+  w.uv(0);
+  w.str(id);
+}
+
+// Binary form of a state message from buildClientSnapshot
+function encodeState(client, msg){
+  const w = createWriter();
+  w.u8(BIN_STATE);
+  w.uv(msg.id); w.uv(msg.base); w.uv(msg.tick);
+  w.uv(msg.clock.time*10000); w.uv(msg.clock.day); w.str(msg.clock.weather);
+  const r = msg.round;
+  w.str(r.mode); w.str(r.phase); w.uv(r.left); w.uv(r.score); w.str(r.leader); w.uv(r.best); w.str(r.holder); w.u8(r.contested ? 1 : 0);
+  const groups = {players: Object.values(msg.players), nodes: msg.nodes, buildings: msg.buildings, mobs: msg.mobs};
+  for(const g in BIN_FIELDS){
+    const fields = BIN_FIELDS[g];
+    w.uv(groups[g].length);
+    for(const e of groups[g]){
+      writeId(w, client, e.id);
+      let mask = 0, extra = null;
+      fields.forEach(([f], i) => { if(e[f] !== undefined) mask += 2**i; });
+      for(const k in e){
+        if(k !== "id" && !fields.some(([f]) => f === k)){ if(!extra) extra = {}; extra[k] = e[k]; }
+      }
+      if(extra) mask += 2**fields.length;
+      w.uv(mask);
+      for(const [f, type] of fields) if(e[f] !== undefined) writeField(w, type, e[f]);
+      if(extra) w.str(JSON.stringify(extra));
+    }
+  }
+  w.u8(msg.removed ? 1 : 0);
+  if(msg.removed){
+    for(const g in BIN_FIELDS){
+      w.uv(msg.removed[g].length);
+      for(const id of msg.removed[g]) writeId(w, client, id);
+    }
+  }
+  return w.done();
+}
+
+// Binary input frame -> the same object as a JSON input message; null when malformed
+function decodeInput(buf){
+  let pos = 0;
+  const uv = () => {
+    let v = 0, mul = 1, b;
+    do {
+      if(pos >= buf.length || mul > 2**49) throw new Error("truncated varint");
+      b = buf[pos++];
+      v += (b & 127)*mul;
+      mul *= 128;
+    } while(b & 128);
+    return v;
+  };
+  try {
+    if(buf[pos++] !== BIN_INPUT) return null;
+    const seq = uv(), ack = uv();
+    if(pos >= buf.length) return null;
+    const keys = buf[pos++];
+    return {type:"input", seq, ack, keys: {up: !!(keys & 1), down: !!(keys & 2), left: !!(keys & 4), right: !!(keys & 8)}};
+  } catch (e){
+    return null;
+  }
+}
+
+// Compact list of every player for the scoreboard (snapshots only carry nearby players)
+function rosterState(room){
+  return Object.values(room.state.players).map(p => ({id: p.id, name: p.name, hp: wireHp(p.hp), kills: p.kills, wood: p.inv.wood || 0, away: !!p.disconnectedAt, bot: !!p.bot, stats: p.session}));
+}
+
+// Send to every connection in a room
+function broadcast(room, obj){
+  record(room, obj);
+  const s = JSON.stringify(obj);
+  for(const c of clients){
+    if(c.room === room && c.ws.readyState === WebSocket.OPEN){ c.ws.send(s); countMessage(metrics.messagesOut, obj.type); }
+  }
+}
+
+// Send to the connection(s) controlling one player
+function sendTo(pid, obj){
+  const s = JSON.stringify(obj);
+  for(const c of clients){
+    if(c.pid === pid && c.ws.readyState === WebSocket.OPEN){ c.ws.send(s); countMessage(metrics.messagesOut, obj.type); }
+  }
+}
+
+// Respawn nodes when timer hits
+function processRespawns(room){
+  const state = room.state;
+  const nowt = Date.now();
   for(const n of state.nodes){
     if(n.hp <= 0 && n.respawnAt && n.respawnAt <= nowt){
+      // regrows in place, so the map keeps the layout its seed generated
       n.hp = n.maxHp || (30 + Math.floor(Math.random()*50));
       n.respawnAt = 0;
-      n.x = clamp(n.x + (Math.random()-0.5)*80, 0, WORLD.W);
-      n.y = clamp(n.y + (Math.random()-0.5)*80, 0, WORLD.H);
     }
   }
 }
-setInterval(processRespawns, 1000);
+// Snapshot broadcast: per-client area-of-interest deltas
+function sendSnapshots(room){
+  const tick = Date.now();
+  for(const client of clients){
+    if(client.room !== room || !client.pid || client.ws.readyState !== WebSocket.OPEN) continue;
+    const player = room.state.players[client.pid];
+    if(!player) continue;
+    const t0 = performance.now();
+    const msg = buildClientSnapshot(client, player, tick);
+    const data = client.encoding === "binary" ? encodeState(client, msg) : JSON.stringify(msg);
+    observe(metrics.encode, performance.now() - t0);
+    client.ws.send(data);
+    countMessage(metrics.messagesOut, "state");
+  }
+}
 
-// Snapshot broadcast
-setInterval(()=>{
-  const snap = snapshotState();
-  broadcast({type:"state", tick: Date.now(), players: snap.players, nodes: snap.nodes, buildings: snap.buildings});
-}, 1000 / SNAPSHOT_RATE);
+// ----- Metrics -----
+// Server health for /healthz, /metrics (Prometheus text format) and dashboard.html: simulation tick and snapshot
+// encode times, traffic, message rates, event loop lag and every client's round-trip time. Totals only grow;
+// once a second the last second's rates are sampled into a history the dashboard charts (METRICS_HISTORY samples).
+const METRICS_HISTORY = 300;
+const HEALTHY_LAG_MS = 250; // /healthz reports "degraded" once the event loop runs this late
+const metrics = {
+  startedAt: Date.now(),
+  tick: {count: 0, sum: 0, max: 0}, // ms per room tick; max since the last sample
+  encode: {count: 0, sum: 0, max: 0}, // ms building and encoding one client's snapshot
+  messagesIn: {}, // totals by message type ("invalid" for malformed or rejected ones)
+  messagesOut: {},
+  closedBytesIn: 0, closedBytesOut: 0, // traffic of connections that have closed
+  loopLag: 0, // ms the sampling timer fired late
+  last: null, // totals at the previous sample
+  history: []
+};
+
+function observe(summary, ms){
+  summary.count++;
+  summary.sum += ms;
+  summary.max = Math.max(summary.max, ms);
+}
+function countMessage(counts, type, n = 1){
+  counts[type] = (counts[type] || 0) + n;
+}
+const sumValues = obj => Object.values(obj).reduce((a, b) => a + b, 0);
+
+// Bytes on the wire (WebSocket frames and the upgrade handshake), counted by the sockets themselves
+function trafficTotals(){
+  let bytesIn = metrics.closedBytesIn, bytesOut = metrics.closedBytesOut;
+  for(const c of clients){ bytesIn += c.socket.bytesRead; bytesOut += c.socket.bytesWritten; }
+  return {bytesIn, bytesOut};
+}
+
+function playerCounts(room){
+  const players = Object.values(room.state.players);
+  return {human: players.filter(p => !p.bot && !p.disconnectedAt).length, away: players.filter(p => p.disconnectedAt).length, bot: players.filter(p => p.bot).length};
+}
+
+// One history entry: rates over the second since the previous one, plus the current gauges
+function sampleMetrics(){
+  const nowt = Date.now();
+  const totals = {...trafficTotals(), tickCount: metrics.tick.count, tickSum: metrics.tick.sum, encodeCount: metrics.encode.count,
+    encodeSum: metrics.encode.sum, messagesIn: sumValues(metrics.messagesIn), messagesOut: sumValues(metrics.messagesOut)};
+  const last = metrics.last || {...totals, t: nowt - 1000};
+  const secs = Math.max(0.001, (nowt - last.t) / 1000);
+  const avg = (sum, count) => totals[count] > last[count] ? (totals[sum] - last[sum]) / (totals[count] - last[count]) : 0;
+  let players = 0, bots = 0, rttSum = 0, rttCount = 0;
+  for(const room of rooms.values()){
+    const counts = playerCounts(room);
+    players += counts.human;
+    bots += counts.bot;
+  }
+  for(const c of clients){
+    // per-client send rate for the dashboard's client table
+    c.bytesOutPerSec = Math.round((c.socket.bytesWritten - (c.sampledBytesOut || 0)) / secs);
+    c.sampledBytesOut = c.socket.bytesWritten;
+    const p = c.pid && c.room.state.players[c.pid];
+    if(p && p.rtt){ rttSum += p.rtt; rttCount++; }
+  }
+  metrics.history.push({
+    t: nowt, players, bots, clients: clients.size, rooms: rooms.size,
+    tickMs: round2(avg("tickSum", "tickCount")), tickMaxMs: round2(metrics.tick.max),
+    encodeMs: round2(avg("encodeSum", "encodeCount")), encodeMaxMs: round2(metrics.encode.max),
+    bytesOut: Math.round((totals.bytesOut - last.bytesOut) / secs), bytesIn: Math.round((totals.bytesIn - last.bytesIn) / secs),
+    messagesOut: Math.round((totals.messagesOut - last.messagesOut) / secs), messagesIn: Math.round((totals.messagesIn - last.messagesIn) / secs),
+    lagMs: Math.round(metrics.loopLag), rttMs: rttCount ? Math.round(rttSum / rttCount) : 0
+  });
+  if(metrics.history.length > METRICS_HISTORY) metrics.history.shift();
+  metrics.last = {...totals, t: nowt};
+  metrics.tick.max = metrics.encode.max = 0;
+}
+
+// The sampling timer doubles as the event loop lag probe: it fires late when ticks or I/O hog the loop
+let sampleDueAt = Date.now() + 1000;
+setInterval(() => {
+  const nowt = Date.now();
+  metrics.loopLag = Math.max(0, nowt - sampleDueAt);
+  sampleDueAt = nowt + 1000;
+  sampleMetrics();
+}, 1000);
+
+// Prometheus text exposition format: HELP and TYPE lines, then one line per label set
+function prometheusText(){
+  const lines = [];
+  const label = v => String(v).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for(const [labels, value, suffix] of samples){
+      const l = Object.keys(labels).map(k => `${k}="${label(labels[k])}"`).join(",");
+      lines.push(`${name}${suffix || ""}${l ? `{${l}}` : ""} ${Number.isFinite(value) ? value : 0}`);
+    }
+  };
+  const latest = metrics.history[metrics.history.length - 1] || {};
+  const traffic = trafficTotals();
+  const roomList = [...rooms.values()];
+  metric("moolite_uptime_seconds", "gauge", "Seconds since the server started.", [[{}, (Date.now() - metrics.startedAt) / 1000]]);
+  metric("moolite_rooms", "gauge", "Open rooms.", [[{}, rooms.size]]);
+  metric("moolite_players", "gauge", "Players in the world by room and kind (human, away = disconnected within the grace period, bot).",
+    roomList.flatMap(room => Object.entries(playerCounts(room)).map(([kind, n]) => [{room: room.name, kind}, n])));
+  metric("moolite_entities", "gauge", "World entities by room and type.",
+    roomList.flatMap(room => ["nodes", "buildings", "mobs"].map(type => [{room: room.name, type}, room.state[type].length])));
+  const encodings = {};
+  for(const c of clients) encodings[c.encoding] = (encodings[c.encoding] || 0) + 1;
+  metric("moolite_clients", "gauge", "Open WebSocket connections by wire encoding.", ENCODINGS.map(e => [{encoding: e}, encodings[e] || 0]));
+  metric("moolite_tick_duration_seconds", "summary", "Time spent in one room's simulation tick.",
+    [[{}, metrics.tick.sum / 1000, "_sum"], [{}, metrics.tick.count, "_count"]]);
+  metric("moolite_tick_duration_max_seconds", "gauge", "Slowest tick in the last second.", [[{}, (latest.tickMaxMs || 0) / 1000]]);
+  metric("moolite_snapshot_encode_seconds", "summary", "Time spent building and encoding one client's snapshot.",
+    [[{}, metrics.encode.sum / 1000, "_sum"], [{}, metrics.encode.count, "_count"]]);
+  metric("moolite_bytes_sent_total", "counter", "Bytes sent to WebSocket clients.", [[{}, traffic.bytesOut]]);
+  metric("moolite_bytes_received_total", "counter", "Bytes received from WebSocket clients.", [[{}, traffic.bytesIn]]);
+  metric("moolite_bytes_sent_per_second", "gauge", "Bytes sent in the last second.", [[{}, latest.bytesOut || 0]]);
+  metric("moolite_bytes_received_per_second", "gauge", "Bytes received in the last second.", [[{}, latest.bytesIn || 0]]);
+  metric("moolite_messages_sent_total", "counter", "Messages sent to clients by type.", Object.entries(metrics.messagesOut).map(([type, n]) => [{type}, n]));
+  metric("moolite_messages_received_total", "counter", "Messages received from clients by type.", Object.entries(metrics.messagesIn).map(([type, n]) => [{type}, n]));
+  metric("moolite_event_loop_lag_seconds", "gauge", "How late the once-a-second metrics timer fired.", [[{}, metrics.loopLag / 1000]]);
+  const clientSamples = [...clients].filter(c => c.pid && c.room.state.players[c.pid]).map(c => [{room: c.room.name, id: c.pid, player: c.room.state.players[c.pid].name}, c]);
+  metric("moolite_client_rtt_seconds", "gauge", "Round-trip time of each client, from snapshot acks.",
+    clientSamples.map(([labels, c]) => [labels, (c.room.state.players[c.pid].rtt || 0) / 1000]));
+  metric("moolite_client_bytes_sent_total", "counter", "Bytes sent to each client.", clientSamples.map(([labels, c]) => [labels, c.socket.bytesWritten]));
+  metric("process_resident_memory_bytes", "gauge", "Resident memory size in bytes.", [[{}, process.memoryUsage().rss]]);
+  return lines.join("\n") + "\n";
+}
+
+configErrors.push(...settingChecks(startupConfig));
+if(configErrors.length){
+  console.error("Invalid configuration:\n  " + configErrors.join("\n  "));
+  process.exit(1);
+}
+loadWorld();
+setInterval(closeIdleRooms, 10_000);
+
+// ----- HTTP API -----
+// Open rooms with player counts, for the lobby
+app.get("/rooms", (req, res) => {
+  const list = [...rooms.values()].map(room => {
+    const players = Object.values(room.state.players);
+    return {name: room.name, seed: room.terrain.seed, mode: room.round.mode, phase: room.round.phase, players: players.filter(p => !p.disconnectedAt && !p.bot).length, bots: players.filter(p => p.bot).length, buildings: room.state.buildings.length};
+  });
+  res.json({rooms: list, maxRooms: MAX_ROOMS, modes: GAME_MODES});
+});
+
+// Health check for scripts and monitors: 200 {status:"ok"} while the event loop keeps up, 503 "degraded" otherwise
+app.get("/healthz", (req, res) => {
+  const latest = metrics.history[metrics.history.length - 1] || {};
+  const ok = metrics.loopLag < HEALTHY_LAG_MS;
+  res.status(ok ? 200 : 503).json({status: ok ? "ok" : "degraded", uptime: Math.round((Date.now() - metrics.startedAt) / 1000),
+    rooms: rooms.size, players: latest.players || 0, clients: clients.size, tickMs: latest.tickMs || 0, lagMs: latest.lagMs || 0});
+});
+
+// Prometheus scrape target (see Metrics)
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(prometheusText());
+});
+
+// Dashboard feed (dashboard.html): the sampled history (?since=<ms timestamp> for newer samples only), rooms and clients
+app.get("/metrics/live", (req, res) => {
+  const since = Number(req.query.since) || 0;
+  res.json({
+    uptime: Math.round((Date.now() - metrics.startedAt) / 1000), tickRate: TICK_RATE, snapshotRate: SNAPSHOT_RATE,
+    history: metrics.history.filter(s => s.t > since),
+    rooms: [...rooms.values()].map(room => ({name: room.name, mode: room.round.mode, ...playerCounts(room),
+      nodes: room.state.nodes.length, buildings: room.state.buildings.length, mobs: room.state.mobs.length})),
+    clients: [...clients].map(c => {
+      const p = c.pid && c.room.state.players[c.pid];
+      return {id: c.pid, name: p ? p.name : "", room: c.room.name, encoding: c.encoding, rttMs: p ? Math.round(p.rtt || 0) : 0,
+        bytesOutPerSec: c.bytesOutPerSec || 0, bytesOut: c.socket.bytesWritten, bytesIn: c.socket.bytesRead};
+    })
+  });
+});
+
+// Leaderboards (leaderboard.html): /leaderboard is all-time, over every profile, with the live stats of players
+// who are online; /leaderboard/session covers the players in the world now. ?room= narrows either to one room,
+// ?stat=<STATS key> (default kills) sorts, ?limit= caps the entries (default 20, up to 100).
+function leaderboardEntries(scope){
+  if(scope === "session"){
+    const out = [];
+    for(const room of rooms.values()){
+      for(const id in room.state.players){
+        const p = room.state.players[id];
+        out.push({name: p.name, room: room.name, stats: p.session, achievements: p.achievements, online: true, bot: !!p.bot});
+      }
+    }
+    return out;
+  }
+  const online = new Map();
+  for(const room of rooms.values()) for(const id in room.state.players){
+    const p = room.state.players[id];
+    if(p.token) online.set(p.token, p);
+  }
+  return Object.keys(profiles).map(token => {
+    const p = online.get(token);
+    if(p) return {name: p.name, room: p.room.name, stats: p.stats, achievements: p.achievements, online: true};
+    const saved = profiles[token];
+    const stats = Object.assign(emptyStats(), saved.stats || {kills: saved.kills || 0});
+    return {name: saved.name, room: saved.room, stats, achievements: saved.achievements || [], online: false};
+  });
+}
+function sendLeaderboard(scope, req, res){
+  const stat = hasOwn(STATS, req.query.stat) ? req.query.stat : "kills";
+  const limit = clamp(Math.floor(Number(req.query.limit)) || 20, 1, 100);
+  const roomName = typeof req.query.room === "string" ? req.query.room.toLowerCase() : "";
+  const entries = leaderboardEntries(scope)
+    .filter(e => !roomName || e.room === roomName)
+    .sort((a, b) => (b.stats[stat] || 0) - (a.stats[stat] || 0) || a.name.localeCompare(b.name))
+    .slice(0, limit);
+  res.json({scope, stat, stats: STATS, achievements: ACHIEVEMENTS, entries});
+}
+app.get("/leaderboard", (req, res) => sendLeaderboard("all", req, res));
+app.get("/leaderboard/session", (req, res) => sendLeaderboard("session", req, res));
+
+// Recordings written with RECORD, newest first, for the replay viewer
+app.get("/recordings", (req, res) => {
+  fs.readdir(RECORD_DIR, (e, files) => {
+    if(e) return res.json({recordings: []});
+    const list = files.filter(f => RECORDING_FILE_RE.test(f)).map(f => {
+      const st = fs.statSync(path.join(RECORD_DIR, f));
+      return {file: f, size: st.size, modified: st.mtimeMs};
+    }).sort((a, b) => b.modified - a.modified);
+    res.json({recordings: list});
+  });
+});
+app.get("/recordings/:file", (req, res) => {
+  if(!RECORDING_FILE_RE.test(req.params.file)) return res.status(404).json({error: "Not found"});
+  res.sendFile(path.join(RECORD_DIR, req.params.file), {dotfiles: "allow"}, e => {
+    if(e && !res.headersSent) res.status(404).json({error: "Not found"});
+  });
+});
+
+// Admin API: every route needs "Authorization: Bearer <ADMIN_TOKEN>"
+app.use("/admin", express.json(), (req, res, next) => {
+  if(!ADMIN_TOKEN) return res.status(403).json({error: "Admin API disabled (start the server with ADMIN_TOKEN)"});
+  const token = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  if(!isAdminToken(token)){
+    audit(`http:${clientIp(req)}`, "auth", {path: req.path}, {error: "bad token"});
+    return res.status(401).json({error: "Unauthorized"});
+  }
+  next();
+});
+app.get("/admin/bans", (req, res) => {
+  res.json({bans, mutes});
+});
+// Newest audit entries first (?limit=, default 100)
+app.get("/admin/audit", (req, res) => {
+  const limit = clamp(Number(req.query.limit) || 100, 1, 1000);
+  fs.readFile(AUDIT_FILE, "utf8", (e, text) => {
+    if(e && e.code !== "ENOENT") return res.status(500).json({error: e.message});
+    const lines = (text || "").split("\n").filter(Boolean).slice(-limit).reverse();
+    res.json({entries: lines.map(l => { try { return JSON.parse(l); } catch (err){ return {raw: l}; } })});
+  });
+});
+// kick, ban, unban, mute, tp, give, reset, mode, reload with the same parameters as the chat commands, as JSON
+app.post("/admin/:action", (req, res) => {
+  const result = adminAction(req.params.action, req.body || {}, `http:${clientIp(req)}`);
+  if(result.error) return res.status(400).json(result);
+  res.json({ok: true, text: result.text});
+});
+
+// Periodic save, plus a final one on shutdown (Ctrl+C / kill)
+setInterval(saveWorld, SAVE_INTERVAL_MS);
+function shutdown(){
+  console.log("Saving world before exit...");
+  saveWorld();
+  for(const room of rooms.values()) flushRecording(room);
+  process.exit(0);
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+// kill -HUP <pid> reloads the config file, like /reload
+process.on("SIGHUP", () => {
+  const result = adminAction("reload", {}, "signal:SIGHUP");
+  console.log(result.error || `Config reloaded: ${result.text}`);
+});
 
 // Helper: list likely LAN IPv4 addresses for convenience
 function getLocalIPs(){
@@ -256,4 +2948,5 @@ server.listen(PORT, "0.0.0.0", () => {
     console.log("No LAN IPs found; connect on this machine at http://localhost:" + PORT);
   }
   console.log("If other devices cannot connect, check host firewall and ensure port", PORT, "is open.");
+  if(CONFIG_FILE) console.log(`Settings from ${CONFIG_FILE} (reload with /reload or kill -HUP ${process.pid})`);
 });